@@ -4,6 +4,8 @@ const _ = require('lodash');
 const BbPromise = require('bluebird');
 const webpack = require('webpack');
 
+const dynamicRequires = require('./dynamicRequires');
+
 module.exports = {
   compile() {
     this.serverless.cli.log('Bundling with Webpack...');
@@ -39,6 +41,9 @@ module.exports = {
 
         this.compileOutputPaths = compileOutputPaths;
         this.compileStats = stats;
+        // Dynamic requires of each compile, which may need additional external modules
+        const servicePath = _.get(this.serverless, 'config.servicePath') || process.cwd();
+        this.dynamicRequires = _.map(stats.stats, compileStats => dynamicRequires.getDynamicRequires(compileStats.compilation, servicePath));
 
         return BbPromise.resolve();
       });
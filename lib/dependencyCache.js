@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Persistent cache for the composite installation of the external modules.
+ *
+ * A cache entry is keyed by a hash of everything that determines the result
+ * of the installation (e.g. the composite package.json, the lockfile and the
+ * Node version), so an entry can be reused as long as none of them changed.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const crypto = require('crypto');
+const path = require('path');
+const fse = require('fs-extra');
+
+/**
+ * Compute the cache key for the given contents.
+ * @param {Array<string>} contents - Contents that determine the installation
+ */
+function getCacheKey(contents) {
+  const hash = crypto.createHash('sha256');
+  _.forEach(contents, content => {
+    hash.update(content || '');
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+function copyIfExists(source, target) {
+  return BbPromise.fromCallback(cb => fse.pathExists(source, cb))
+  .then(exists => {
+    if (!exists) {
+      return BbPromise.resolve();
+    }
+    return BbPromise.fromCallback(cb => fse.copy(source, target, cb));
+  });
+}
+
+/**
+ * Restore the given files of a cache entry into the target directory.
+ * Resolves with false if there is no entry for the key.
+ */
+function restore(cacheDir, key, targetDir, fileNames) {
+  const entryDir = path.join(cacheDir, key);
+
+  return BbPromise.fromCallback(cb => fse.pathExists(entryDir, cb))
+  .then(exists => {
+    if (!exists) {
+      return false;
+    }
+    return BbPromise.mapSeries(fileNames, fileName => copyIfExists(path.join(entryDir, fileName), path.join(targetDir, fileName)))
+    .return(true);
+  });
+}
+
+/**
+ * Store the given files of the source directory as cache entry. The entry
+ * is assembled in a temporary directory first, so that an interrupted
+ * build never leaves an incomplete entry behind.
+ */
+function save(cacheDir, key, sourceDir, fileNames) {
+  const entryDir = path.join(cacheDir, key);
+  const tempDir = `${entryDir}.${process.pid}.tmp`;
+
+  return BbPromise.mapSeries(fileNames, fileName => copyIfExists(path.join(sourceDir, fileName), path.join(tempDir, fileName)))
+  .then(() => BbPromise.fromCallback(cb => fse.move(tempDir, entryDir, cb)))
+  .catch(err => BbPromise.fromCallback(cb => fse.remove(tempDir, cb)).throw(err))
+  .return();
+}
+
+module.exports = {
+  getCacheKey,
+  restore,
+  save
+};
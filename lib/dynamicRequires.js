@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Detection of dynamic requires in the compiled code.
+ *
+ * Webpack reports requires with expressions as critical dependencies, as it
+ * cannot know which modules they load. The static part of the expression
+ * (e.g. `knex-dialect-` of `require('knex-dialect-' + name)`) is read from the
+ * context of the dependency and matched against the service's dependencies.
+ */
+
+const _ = require('lodash');
+const path = require('path');
+
+const REGEXP_SPECIAL_CHARS = '.*+?^$|()[]{}';
+
+/**
+ * Read the literal prefix of a context regular expression, up to the first
+ * special character of the expression part.
+ */
+function getRegExpPrefix(regExp) {
+  const source = _.replace(_.get(regExp, 'source', ''), /^\^/, '');
+  let prefix = '';
+  for (let index = 0; index < source.length; index++) {
+    if (source[index] === '\\') {
+      index++;
+      prefix += source[index] || '';
+    } else if (_.includes(REGEXP_SPECIAL_CHARS, source[index])) {
+      break;
+    } else {
+      prefix += source[index];
+    }
+  }
+  return prefix;
+}
+
+/**
+ * Get the static part of the request of a context dependency. Webpack splits
+ * it into the context directory and the prefix of the regular expression.
+ * Bare module requests keep their prefix without a leading `./`.
+ */
+function getStaticRequest(dependency) {
+  const options = _.get(dependency, 'options', dependency);
+  const context = _.get(options, 'request', '.');
+  const prefix = getRegExpPrefix(options.regExp);
+  if (context === '.') {
+    return prefix;
+  }
+  return `${context}/${_.replace(prefix, /^\.\//, '')}`;
+}
+
+/**
+ * Get the name of the installed module that contains a file.
+ */
+function getInstalledModuleName(file) {
+  const segments = _.split(_.replace(file, /\\/g, '/'), '/');
+  const moduleIndex = _.lastIndexOf(segments, 'node_modules') + 1;
+  if (moduleIndex === 0) {
+    return null;
+  }
+  return _.startsWith(segments[moduleIndex], '@') ?
+    _.join(_.slice(segments, moduleIndex, moduleIndex + 2), '/') :
+    segments[moduleIndex];
+}
+
+/**
+ * Collect the dynamic requires that webpack reported as critical
+ * dependencies of a compilation.
+ * @param {Object} compilation - The webpack compilation
+ * @param {string} servicePath - The issuers are given relative to this path
+ * @returns {Array<Object>} - The issuers and the static requests of the
+ *   dynamic requires. The request is null if it is unknown.
+ */
+function getDynamicRequires(compilation, servicePath) {
+  const issuerModules = _.uniq(_.compact(_.map(_.filter(compilation.warnings, warning => {
+    return /Critical dependency/.test(_.get(warning, 'message'));
+  }), warning => warning.module || warning.origin)));
+
+  return _.flatMap(issuerModules, issuerModule => {
+    const issuer = path.relative(servicePath, issuerModule.resource || '');
+    const criticalDependencies = _.filter(issuerModule.dependencies, 'critical');
+    if (_.isEmpty(criticalDependencies)) {
+      return [{ issuer, request: null }];
+    }
+    return _.uniqWith(_.map(criticalDependencies, dependency => ({ issuer, request: getStaticRequest(dependency) })), _.isEqual);
+  });
+}
+
+/**
+ * Find the dependencies that a dynamic require may load. Bare requests match
+ * the dependencies that start with the static request and the module that the
+ * request points into. Relative requests and pure expressions only match the
+ * installed module that contains the issuer.
+ * @param {Object} dynamicRequire - Issuer and static request
+ * @param {Array<string>} dependencies - Names of the service's dependencies
+ * @returns {Array<string>} - The matching dependencies
+ */
+function matchDependencies(dynamicRequire, dependencies) {
+  const request = dynamicRequire.request;
+  const isBareRequest = !!request && !_.startsWith(request, '.') && !path.isAbsolute(request);
+  if (isBareRequest) {
+    const segments = _.split(request, '/');
+    const moduleName = _.startsWith(request, '@') ? _.join(_.take(segments, 2), '/') : _.first(segments);
+    return _.filter(dependencies, dependency => _.startsWith(dependency, request) || dependency === moduleName);
+  }
+  const issuerModule = getInstalledModuleName(dynamicRequire.issuer);
+  return _.includes(dependencies, issuerModule) ? [issuerModule] : [];
+}
+
+module.exports = {
+  getDynamicRequires,
+  matchDependencies
+};
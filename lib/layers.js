@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Modules that are supplied by Lambda layers.
+ *
+ * A layer is described by its package.json or by its directory with the
+ * installed modules (in `nodejs/node_modules` or `node_modules`). Functions
+ * reference layers by their ARN or with a `Ref` to a layer of the service.
+ */
+
+const _ = require('lodash');
+const path = require('path');
+const fse = require('fs-extra');
+const globby = require('globby');
+const semver = require('semver');
+
+const nodeModules = require('./nodeModules');
+
+/**
+ * Read the modules that a layer supplies.
+ * @param {string} layerPath - The package.json or the directory of the layer
+ * @returns {Object|null} - The versions of the modules by their names, or
+ *   null if the layer cannot be read
+ */
+function readLayerModules(layerPath) {
+  if (path.extname(layerPath) === '.json') {
+    const packageJson = fse.readJsonSync(layerPath, { throws: false });
+    return packageJson && _.assign({}, packageJson.dependencies);
+  }
+
+  // globby emits an unhandled error for folders that do not exist
+  const moduleDirs = _.filter([ 'nodejs/node_modules', 'node_modules' ], moduleDir => fse.pathExistsSync(path.join(layerPath, moduleDir)));
+  const packageJsonFiles = !_.isEmpty(moduleDirs) && globby.sync(_.flatMap(moduleDirs, moduleDir => [
+    `${moduleDir}/*/package.json`,
+    `${moduleDir}/@*/*/package.json`
+  ]), {
+    cwd: layerPath,
+    silent: true
+  });
+  if (_.isEmpty(packageJsonFiles)) {
+    return null;
+  }
+
+  return _.reduce(packageJsonFiles, (modules, packageJsonFile) => {
+    const packageJson = nodeModules.readPackageJson(path.join(layerPath, path.dirname(packageJsonFile)));
+    if (_.get(packageJson, 'name')) {
+      modules[packageJson.name] = packageJson.version;
+    }
+    return modules;
+  }, {});
+}
+
+/**
+ * Get the logical id that the Serverless framework uses for a layer of the
+ * service in the CloudFormation template.
+ */
+function getLayerLogicalId(layerName) {
+  const normalizedName = _.replace(_.replace(layerName, /-/g, 'Dash'), /_/g, 'Underscore');
+  return `${_.upperFirst(normalizedName)}LambdaLayer`;
+}
+
+/**
+ * Find the configured layer of a layer reference of a function.
+ * @param {Array<string>} layerNames - Names of the configured layers. These
+ *   are either layer ARNs or names of layers of the service.
+ * @param {string|Object} reference - Layer ARN or `Ref` to a layer
+ * @returns {string|undefined} - The name of the referenced layer
+ */
+function findLayer(layerNames, reference) {
+  const logicalId = _.get(reference, 'Ref');
+  return _.find(layerNames, layerName => {
+    return logicalId ? layerName === logicalId || getLayerLogicalId(layerName) === logicalId : layerName === reference;
+  });
+}
+
+/**
+ * Check if the version of a layer module is compatible to the version range
+ * of the service. Versions that are not semver (e.g. git or file references)
+ * cannot be compared and are accepted.
+ */
+function satisfies(layerVersion, serviceRange) {
+  return !semver.validRange(layerVersion) ||
+    !semver.validRange(serviceRange) ||
+    semver.intersects(layerVersion, serviceRange);
+}
+
+module.exports = {
+  readLayerModules,
+  getLayerLogicalId,
+  findLayer,
+  satisfies
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * Packing of local `file:` dependencies.
+ *
+ * Local modules are packed into tarballs inside the composite folder, the
+ * same way `npm pack` does it, so that they install like published modules.
+ * Local modules that depend on other local modules reference the tarballs
+ * of these modules instead of their directories.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const crypto = require('crypto');
+const path = require('path');
+const fse = require('fs-extra');
+
+const nodeModules = require('./nodeModules');
+const utils = require('./utils');
+
+/**
+ * Check if a version specifier references a local module.
+ */
+function isLocalReference(moduleVersion) {
+  return _.startsWith(moduleVersion, 'file:');
+}
+
+/**
+ * Resolve the path of a local reference (`file:` or `link:` specifier or a
+ * plain relative path) against the given directory. Windows-style separators
+ * are accepted on all platforms.
+ */
+function resolveReference(reference, baseDir) {
+  const referencePath = _.replace(_.replace(reference, /^(file|link):/, ''), /\\/g, '/');
+  return path.resolve(baseDir, referencePath);
+}
+
+function isTarball(modulePath) {
+  return /\.(tgz|tar\.gz)$/.test(modulePath);
+}
+
+function getIntegrity(tarballPath) {
+  return BbPromise.fromCallback(cb => fse.readFile(tarballPath, cb))
+  .then(contents => `sha512-${crypto.createHash('sha512').update(contents).digest('base64')}`);
+}
+
+/**
+ * Pack a module directory. Its prepack and prepare scripts run, unless the
+ * install scripts are disabled in the packager options.
+ */
+function npmPack(moduleDir, targetDir, options) {
+  const command = _.join(_.compact([ 'npm pack', options.ignoreScripts && '--ignore-scripts', `"${moduleDir}"` ]), ' ');
+  return utils.exec(command, targetDir, options)
+  // npm prints the name of the created tarball last
+  .then(stdout => _.last(_.compact(_.map(_.split(stdout, '\n'), _.trim))));
+}
+
+/**
+ * Pack a local module and all local modules it depends on.
+ * The packed modules are collected by their source path.
+ */
+function packLocalModule(modulePath, targetDir, options, localPackages, packedModules, parentPaths) {
+  if (_.includes(parentPaths, modulePath)) {
+    return BbPromise.reject(new Error(`Cyclic local module reference: ${_.join(_.concat(parentPaths, modulePath), ' -> ')}`));
+  }
+  if (_.has(packedModules, modulePath)) {
+    return BbPromise.resolve(packedModules[modulePath]);
+  }
+
+  if (isTarball(modulePath)) {
+    const tarball = path.basename(modulePath);
+    packedModules[modulePath] = BbPromise.fromCallback(cb => fse.copy(modulePath, path.join(targetDir, tarball), cb))
+    .then(() => getIntegrity(modulePath))
+    .then(integrity => ({ tarball, integrity, packageJson: {} }));
+    return packedModules[modulePath];
+  }
+
+  const packageJson = nodeModules.readPackageJson(modulePath);
+  if (!packageJson) {
+    return BbPromise.reject(new Error(`Could not read local module ${path.join(modulePath, 'package.json')}`));
+  }
+
+  const localDependencies = _.pickBy(_.assign({}, packageJson.dependencies, packageJson.optionalDependencies), (version, name) => {
+    return isLocalReference(version) || _.has(localPackages, name);
+  });
+
+  packedModules[modulePath] = BbPromise.mapSeries(_.keys(localDependencies), name => {
+    const version = localDependencies[name];
+    const dependencyPath = isLocalReference(version) ? resolveReference(version, modulePath) : localPackages[name];
+    return packLocalModule(dependencyPath, targetDir, options, localPackages, packedModules, _.concat(parentPaths, modulePath))
+    .then(localDependency => {
+      const tarballPath = path.relative(options.referenceDir || targetDir, path.join(targetDir, localDependency.tarball));
+      return [ name, `file:${_.replace(tarballPath, /\\/g, '/')}` ];
+    });
+  })
+  .then(_.fromPairs)
+  .then(tarballReferences => {
+    if (_.isEmpty(tarballReferences)) {
+      return npmPack(modulePath, targetDir, options).then(tarball => [ tarball, packageJson ]);
+    }
+
+    // Pack a copy of the module that references the tarballs of its local dependencies
+    const stagingDir = path.join(targetDir, '.staging', _.replace(packageJson.name, /\//g, '-'));
+    const stagedPackageJson = _.assign({}, packageJson, _.mapValues(
+      _.pick(packageJson, [ 'dependencies', 'optionalDependencies' ]),
+      dependencies => _.assign({}, dependencies, _.pick(tarballReferences, _.keys(dependencies)))
+    ));
+    const filter = source => _.first(_.split(path.relative(modulePath, source), path.sep)) !== 'node_modules';
+    return BbPromise.fromCallback(cb => fse.copy(modulePath, stagingDir, { dereference: true, filter }, cb))
+    .then(() => BbPromise.fromCallback(cb => fse.writeFile(path.join(stagingDir, 'package.json'), JSON.stringify(stagedPackageJson, null, 2), cb)))
+    .then(() => npmPack(stagingDir, targetDir, options))
+    .then(tarball => [ tarball, stagedPackageJson ]);
+  })
+  .spread((tarball, packedPackageJson) => {
+    return getIntegrity(path.join(targetDir, tarball))
+    .then(integrity => ({
+      tarball,
+      integrity,
+      packageJson: packedPackageJson
+    }));
+  });
+  return packedModules[modulePath];
+}
+
+/**
+ * Pack the given local modules into tarballs in the target directory.
+ * @param {Array<string>} modulePaths - Absolute paths of the local modules
+ * @param {string} targetDir - Directory that receives the tarballs
+ * @param {Object} options - Packager options (maxBuffer, ignoreScripts) and
+ *   the referenceDir, that the packager resolves the local references within
+ *   packed modules against (defaults to the target directory)
+ * @param {Object} [localPackages] - Directories of packages that are local
+ *   modules regardless of their version specifier (e.g. workspace packages)
+ * @returns {BbPromise<Object>} - The packed modules (tarball file name,
+ *   integrity and package.json) by their path
+ */
+function packLocalModules(modulePaths, targetDir, options, localPackages) {
+  const packedModules = {};
+
+  return BbPromise.fromCallback(cb => fse.mkdirs(targetDir, cb))
+  .then(() => BbPromise.mapSeries(modulePaths, modulePath => packLocalModule(modulePath, targetDir, options, localPackages || {}, packedModules, [])))
+  .then(() => BbPromise.props(packedModules))
+  .tap(() => BbPromise.fromCallback(cb => fse.remove(path.join(targetDir, '.staging'), cb)));
+}
+
+module.exports = {
+  isLocalReference,
+  resolveReference,
+  packLocalModules
+};
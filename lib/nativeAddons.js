@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Detection of native addons in packaged modules.
+ *
+ * The platform and the CPU architectures of a native addon are read from the
+ * header of its binary (ELF on Linux, Mach-O on macOS, PE on Windows).
+ * Architectures use the names of `process.arch`.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const fse = require('fs-extra');
+const globby = require('globby');
+
+const ELF_MACHINES = {
+  3: 'ia32',
+  40: 'arm',
+  62: 'x64',
+  183: 'arm64'
+};
+
+const MACHO_CPU_TYPES = {
+  7: 'ia32',
+  12: 'arm',
+  0x1000007: 'x64',
+  0x100000c: 'arm64'
+};
+
+const PE_MACHINES = {
+  0x14c: 'ia32',
+  0x1c0: 'arm',
+  0x8664: 'x64',
+  0xaa64: 'arm64'
+};
+
+// Fat Mach-O binaries share their magic with Java class files, which have a
+// version number instead of the architecture count at the same offset.
+const MAX_FAT_ARCHS = 16;
+
+function readElf(buffer) {
+  const machine = buffer[5] === 2 ? buffer.readUInt16BE(18) : buffer.readUInt16LE(18);
+  return { platform: 'linux', archs: _.compact([ELF_MACHINES[machine]]) };
+}
+
+function readMachO(buffer, littleEndian) {
+  const cpuType = littleEndian ? buffer.readUInt32LE(4) : buffer.readUInt32BE(4);
+  return { platform: 'darwin', archs: _.compact([MACHO_CPU_TYPES[cpuType]]) };
+}
+
+function readFatMachO(buffer) {
+  const archCount = Math.min(buffer.readUInt32BE(4), Math.floor((buffer.length - 8) / 20));
+  return {
+    platform: 'darwin',
+    archs: _.compact(_.times(archCount, index => MACHO_CPU_TYPES[buffer.readUInt32BE(8 + index * 20)]))
+  };
+}
+
+function readPe(buffer) {
+  const peOffset = buffer.readUInt32LE(0x3c);
+  if (peOffset + 6 > buffer.length || buffer.toString('binary', peOffset, peOffset + 4) !== 'PE\0\0') {
+    return null;
+  }
+  return { platform: 'win32', archs: _.compact([PE_MACHINES[buffer.readUInt16LE(peOffset + 4)]]) };
+}
+
+/**
+ * Read the platform and the architectures of a native binary from its header.
+ * @param {Buffer} buffer - Contents of the binary
+ * @returns {Object|null} - The platform and the architectures, or null if
+ *   the binary format is unknown
+ */
+function readBinaryPlatform(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 64) {
+    return null;
+  }
+  const magic = buffer.readUInt32BE(0);
+  if (magic === 0x7f454c46) {
+    return readElf(buffer);
+  }
+  if (magic === 0xfeedface || magic === 0xfeedfacf) {
+    return readMachO(buffer, false);
+  }
+  if (buffer.readUInt32LE(0) === 0xfeedface || buffer.readUInt32LE(0) === 0xfeedfacf) {
+    return readMachO(buffer, true);
+  }
+  if (magic === 0xcafebabe && buffer.readUInt32BE(4) <= MAX_FAT_ARCHS) {
+    return readFatMachO(buffer);
+  }
+  if (buffer.toString('binary', 0, 2) === 'MZ') {
+    return readPe(buffer);
+  }
+  return null;
+}
+
+/**
+ * Find the native addons in the node_modules folder of a directory.
+ * @param {string} dir - Directory that contains the node_modules folder
+ * @returns {BbPromise<Array<Object>>} - The paths of the addons relative to
+ *   the directory with their platforms and architectures
+ */
+function findNativeAddons(dir) {
+  // globby emits an unhandled error if the node_modules folder does not exist
+  return BbPromise.fromCallback(cb => fse.pathExists(path.join(dir, 'node_modules'), cb))
+  .then(exists => exists ? globby.sync(['node_modules/**/*.node'], {
+    cwd: dir,
+    nodir: true,
+    silent: true
+  }) : [])
+  .mapSeries(addonFile => {
+    return BbPromise.fromCallback(cb => fse.readFile(path.join(dir, addonFile), cb))
+    .then(buffer => {
+      const binaryPlatform = readBinaryPlatform(buffer);
+      return binaryPlatform && _.assign({ file: addonFile }, binaryPlatform);
+    });
+  })
+  .then(_.compact);
+}
+
+/**
+ * Check if a native addon can be loaded on the given platform and architecture.
+ * Addons whose architecture is unknown are only checked for the platform.
+ */
+function isCompatible(addon, platform, arch) {
+  return addon.platform === platform && (_.isEmpty(addon.archs) || _.includes(addon.archs, arch));
+}
+
+module.exports = {
+  readBinaryPlatform,
+  findNativeAddons,
+  isCompatible
+};
@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * Helpers for installed node_modules trees.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const fse = require('fs-extra');
+
+function readPackageJson(packageDir) {
+  return fse.readJsonSync(path.join(packageDir, 'package.json'), { throws: false });
+}
+
+/**
+ * Resolve the directory of an installed module like Node does, starting at
+ * the given package directory and walking up to the root directory. The
+ * root directory can be a workspace root above the package directory, that
+ * contains the hoisted modules.
+ * Returns null if the module is not installed.
+ */
+function resolvePackageDir(moduleName, fromDir, rootDir) {
+  const segments = _.compact(_.split(path.relative(rootDir, fromDir), path.sep));
+  for (let index = _.size(segments); index >= 0; index--) {
+    // node_modules folders do not contain node_modules folders themselves
+    if (segments[index - 1] === 'node_modules') {
+      continue;
+    }
+    const packageDir = path.join.apply(path, _.concat(rootDir, _.take(segments, index), 'node_modules', moduleName));
+    if (readPackageJson(packageDir)) {
+      return packageDir;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a dependency graph in the `npm ls -json` format from the installed
+ * modules. Modules that are not installed are reported as problems.
+ * @param {Object} dependencies - The dependencies of the package in fromDir
+ * @param {string} fromDir - Directory of the package
+ * @param {string} rootDir - Directory to stop the module resolution at
+ * @param {number} depth - Depth of the graph below the package
+ * @param {Array<string>} problems - Receives the problems
+ */
+function getDependencyGraph(dependencies, fromDir, rootDir, depth, problems) {
+  return _.reduce(_.keys(dependencies), (graph, name) => {
+    const packageDir = resolvePackageDir(name, fromDir, rootDir);
+    if (!packageDir) {
+      problems.push(`missing: ${name}, required by ${path.relative(rootDir, fromDir) || 'the service'}`);
+      return graph;
+    }
+    const packageJson = readPackageJson(packageDir);
+    graph[name] = {
+      version: packageJson.version,
+      dependencies: depth > 0 ? getDependencyGraph(packageJson.dependencies, packageDir, rootDir, depth - 1, problems) : {}
+    };
+    return graph;
+  }, {});
+}
+
+/**
+ * Check if a package.json field with platforms (`os` or `cpu`) accepts the
+ * given value. Values starting with `!` are excluded.
+ */
+function acceptsPlatform(platforms, value) {
+  const values = _.castArray(platforms || []);
+  const excludedValues = _.filter(values, platform => _.startsWith(platform, '!'));
+  if (_.includes(excludedValues, `!${value}`)) {
+    return false;
+  }
+  return _.size(excludedValues) === _.size(values) || _.includes(values, value);
+}
+
+/**
+ * Check if a module supports the given platform according to the `os` and
+ * `cpu` fields of its package.json.
+ * @param {Object} packageJson - package.json of the module
+ * @param {Object} platform - The target `os` and `cpu`
+ */
+function isPlatformCompatible(packageJson, platform) {
+  return acceptsPlatform(packageJson.os, platform.os) && acceptsPlatform(packageJson.cpu, platform.cpu);
+}
+
+/**
+ * Get the names of the dependencies that a package bundles. Bundled
+ * dependencies are shipped within the package's own node_modules folder.
+ * `true` bundles all dependencies.
+ */
+function getBundledDependencies(packageJson) {
+  const bundledDependencies = packageJson.bundledDependencies || packageJson.bundleDependencies;
+  if (bundledDependencies === true) {
+    return _.keys(_.assign({}, packageJson.dependencies, packageJson.optionalDependencies));
+  }
+  return _.isArray(bundledDependencies) ? bundledDependencies : [];
+}
+
+/**
+ * Collect the directories of all modules that are needed by the given
+ * dependencies, relative to the root directory. Peer dependencies of the
+ * modules are added if they are installed. Missing optional dependencies
+ * are skipped, as well as optional dependencies that do not support the
+ * target platform, if one is given. Bundled dependencies are part of the
+ * bundling module's directory and are not listed.
+ * @param {string} [packageDir] - Directory of the package with the given
+ *   dependencies within the root directory (e.g. a workspace package).
+ *   Defaults to the root directory.
+ */
+function getModuleClosure(dependencies, optionalDependencies, rootDir, platform, packageDir) {
+  const moduleDirs = [];
+  const fromDir = packageDir || rootDir;
+  const queue = _.concat(
+    _.map(_.keys(dependencies), name => ({ name, fromDir, optional: false })),
+    _.map(_.keys(optionalDependencies), name => ({ name, fromDir, optional: true }))
+  );
+
+  while (!_.isEmpty(queue)) {
+    const module = queue.shift();
+    const packageDir = resolvePackageDir(module.name, module.fromDir, rootDir);
+    if (!packageDir) {
+      if (!module.optional) {
+        throw new Error(`Could not find module ${module.name} in ${path.join(rootDir, 'node_modules')}`);
+      }
+      continue;
+    }
+
+    const moduleDir = path.relative(rootDir, packageDir);
+    if (_.includes(moduleDirs, moduleDir)) {
+      continue;
+    }
+
+    const packageJson = readPackageJson(packageDir);
+    if (module.optional && platform && !isPlatformCompatible(packageJson, platform)) {
+      continue;
+    }
+    moduleDirs.push(moduleDir);
+    const bundledDependencies = getBundledDependencies(packageJson);
+    Array.prototype.push.apply(queue, _.reject(_.concat(
+      _.map(_.keys(packageJson.dependencies), name => ({ name, fromDir: packageDir, optional: false })),
+      _.map(_.keys(packageJson.optionalDependencies), name => ({ name, fromDir: packageDir, optional: true })),
+      // Peers are provided by the dependent package, so they are resolved like its own dependencies
+      _.map(_.keys(packageJson.peerDependencies), name => ({ name, fromDir: packageDir, optional: true }))
+    ), dependency => {
+      // Bundled dependencies that are missing from the bundle are resolved like any other dependency
+      return _.includes(bundledDependencies, dependency.name) &&
+        !!readPackageJson(path.join(packageDir, 'node_modules', dependency.name));
+    }));
+  }
+
+  return moduleDirs;
+}
+
+function linkFile(source, target) {
+  return BbPromise.fromCallback(cb => fse.link(source, target, cb))
+  .catch(err => {
+    // Hard links cannot span devices (or are not supported), so copy the file instead
+    if (err.code === 'EXDEV' || err.code === 'EPERM') {
+      return BbPromise.fromCallback(cb => fse.copy(source, target, cb));
+    }
+    return BbPromise.reject(err);
+  });
+}
+
+function linkDirectory(source, target, filter) {
+  return BbPromise.fromCallback(cb => fse.mkdirs(target, cb))
+  .then(() => BbPromise.fromCallback(cb => fse.readdir(source, cb)))
+  .mapSeries(name => {
+    const sourcePath = path.join(source, name);
+    const targetPath = path.join(target, name);
+    if (!filter(sourcePath)) {
+      return BbPromise.resolve();
+    }
+    return BbPromise.fromCallback(cb => fse.stat(sourcePath, cb))
+    .then(stats => stats.isDirectory() ? linkDirectory(sourcePath, targetPath, filter) : linkFile(sourcePath, targetPath));
+  })
+  .return();
+}
+
+/**
+ * Check if a path within a module directory is copied with the module. Only
+ * the bundled dependencies of its nested node_modules folder are copied.
+ * @param {Array<string>} segments - Segments of the path relative to the module directory
+ * @param {Array<string>} bundledDependencies - Names of the bundled dependencies
+ */
+function isBundledPath(segments, bundledDependencies) {
+  if (_.first(segments) !== 'node_modules') {
+    return true;
+  }
+  if (_.size(segments) === 1) {
+    return !_.isEmpty(bundledDependencies);
+  }
+  if (_.startsWith(segments[1], '@')) {
+    return _.size(segments) === 2 ?
+      _.some(bundledDependencies, name => _.startsWith(name, `${segments[1]}/`)) :
+      _.includes(bundledDependencies, `${segments[1]}/${segments[2]}`);
+  }
+  return _.includes(bundledDependencies, segments[1]);
+}
+
+/**
+ * Copy the given module directories from the source root to the same
+ * relative locations in the target root. Symlinked modules are copied
+ * with their contents. Nested node_modules folders are not copied along
+ * with a module, as the nested modules are part of the list on their own.
+ * Only the bundled dependencies of a module are copied with it untouched.
+ * @param {string} sourceRoot - Directory that contains the source node_modules
+ * @param {string} targetRoot - Directory that receives the node_modules
+ * @param {Array<string>} moduleDirs - Module directories relative to the roots
+ * @param {Object} [options] - Set link to hard-link the files instead of copying them
+ */
+function copyModules(sourceRoot, targetRoot, moduleDirs, options) {
+  const link = _.get(options, 'link', false);
+
+  return BbPromise.mapSeries(moduleDirs, moduleDir => {
+    const sourceDir = path.join(sourceRoot, moduleDir);
+    const targetDir = path.join(targetRoot, moduleDir);
+    const bundledDependencies = getBundledDependencies(readPackageJson(sourceDir) || {});
+    const filter = source => isBundledPath(_.split(path.relative(sourceDir, source), path.sep), bundledDependencies);
+    if (link) {
+      return linkDirectory(sourceDir, targetDir, filter);
+    }
+    return BbPromise.fromCallback(cb => fse.copy(sourceDir, targetDir, { dereference: true, filter }, cb));
+  })
+  .return();
+}
+
+module.exports = {
+  readPackageJson,
+  resolvePackageDir,
+  getDependencyGraph,
+  getBundledDependencies,
+  getModuleClosure,
+  copyModules
+};
@@ -3,104 +3,278 @@
 const BbPromise = require('bluebird');
 const _ = require('lodash');
 const path = require('path');
-const childProcess = require('child_process');
+const os = require('os');
 const fse = require('fs-extra');
 const isBuiltinModule = require('is-builtin-module');
 
-function rebaseFileReferences(pathToPackageRoot, moduleVersion) {
-  if (/^file:[^/]{2}/.test(moduleVersion)) {
-    const filePath = _.replace(moduleVersion, /^file:/, '');
-    return _.replace(`file:${pathToPackageRoot}/${filePath}`, /\\/g, '/');
-  }
+const dependencyCache = require('./dependencyCache');
+const dynamicRequires = require('./dynamicRequires');
+const layers = require('./layers');
+const localModules = require('./localModules');
+const nativeAddons = require('./nativeAddons');
+const nodeModules = require('./nodeModules');
+const packagerConfig = require('./packagerConfig');
+const packagers = require('./packagers');
+const runtimeModules = require('./runtimeModules');
+const slimModules = require('./slimModules');
+const utils = require('./utils');
+const workspaces = require('./workspaces');
 
-  return moduleVersion;
+/**
+ * Add the given modules to a package json's dependencies.
+ * @param {Function} getVersion - Maps the version specifier of the service
+ *   to the one of the target package.json
+ * @param {Array<string>} [optionalModules] - Names of the modules that are
+ *   added to the optional dependencies
+ */
+function addModulesToPackageJson(externalModules, packageJson, getVersion, optionalModules) {
+  _.forEach(externalModules, externalModule => {
+    const splitModule = utils.splitModuleVersion(externalModule);
+    const dependencyType = _.includes(optionalModules, splitModule.name) ? 'optionalDependencies' : 'dependencies';
+    packageJson[dependencyType] = packageJson[dependencyType] || {};
+    packageJson[dependencyType][splitModule.name] = getVersion(splitModule.version);
+  });
 }
 
-function rebasePackageLock(pathToPackageRoot, module) {
-  if (module.version) {
-    module.version = rebaseFileReferences(pathToPackageRoot, module.version);
-  }
+/**
+ * Remove the excluded modules from a module list
+ * @param {Function} isExcluded - Checks if a module is excluded by its name
+ *   and version
+ * @returns {Array<string>} - The removed modules
+ */
+function removeExcludedModules(modules, isExcluded) {
+  return _.remove(modules, externalModule => {
+    const splitModule = utils.splitModuleVersion(externalModule);
+    return isExcluded(splitModule.name, splitModule.version);
+  });
+}
 
-  if (module.dependencies) {
-    _.forIn(module.dependencies, moduleDependency => {
-      rebasePackageLock(pathToPackageRoot, moduleDependency);
-    });
+/**
+ * Get the forced inclusions and exclusions of a compile. The settings of the
+ * compiled function (`webpackIncludeModules` of the function) are merged
+ * with the ones of the service. If the service is packaged as a whole, the
+ * inclusions of all functions apply, but function exclusions do not, as
+ * other functions of the artifact may need the modules.
+ * @this - The active plugin instance
+ */
+function getForcedModules(includes, index) {
+  const service = this.serverless.service;
+  const functionIncludes = this.entryFunctions ?
+    _.compact([_.get(this.entryFunctions, `[${index}].func.webpackIncludeModules`)]) :
+    _.compact(_.map(service.getAllFunctions(), funcName => service.getFunction(funcName).webpackIncludeModules));
+
+  return {
+    forceInclude: _.union.apply(_, _.concat([_.get(includes, 'forceInclude', [])], _.map(functionIncludes, 'forceInclude'))),
+    forceExclude: _.union.apply(_, _.concat([_.get(includes, 'forceExclude', [])], this.entryFunctions ? _.map(functionIncludes, 'forceExclude') : []))
+  };
+}
+
+/**
+ * Get a check for the modules that the execution environment of a compile
+ * provides, except the ones that should be packaged anyway. If the service
+ * is packaged as a whole, only the modules that the runtimes of all
+ * functions provide are excluded.
+ * @this - The active plugin instance
+ */
+function getProvidedModules(includes, index) {
+  const packageRuntimeModules = _.get(includes, 'packageRuntimeModules', false);
+  if (packageRuntimeModules === true) {
+    return _.constant(false);
   }
+
+  const service = this.serverless.service;
+  const providerRuntime = _.get(service, 'provider.runtime');
+  const functions = this.entryFunctions ?
+    _.compact([_.get(this.entryFunctions, `[${index}].func`)]) :
+    _.map(service.getAllFunctions(), funcName => service.getFunction(funcName));
+  const runtimes = _.isEmpty(functions) ? [providerRuntime] : _.uniq(_.map(functions, func => func.runtime || providerRuntime));
+  const providedModules = _.intersection.apply(_, _.map(runtimes, runtime => runtimeModules.getRuntimeModules(_.get(service, 'provider.name'), runtime)));
+  const packagedModules = _.compact(_.castArray(packageRuntimeModules));
+
+  return moduleName => runtimeModules.matchesModule(moduleName, providedModules) && !runtimeModules.matchesModule(moduleName, packagedModules);
 }
 
 /**
- * Add the given modules to a package json's dependencies.
+ * Get the modules that the layers of a compile supply, with the name of the
+ * supplying layer and the version of the module in the layer. Layers that
+ * are listed later take precedence. If the service is packaged as a whole,
+ * only the modules that the layers of all functions supply are returned.
+ * @param {Object} layerModules - The modules of the configured layers
+ * @this - The active plugin instance
  */
-function addModulesToPackageJson(externalModules, packageJson, pathToPackageRoot) {
-  _.forEach(externalModules, externalModule => {
-    const splitModule = _.split(externalModule, '@');
-    // If we have a scoped module we have to re-add the @
-    if (_.startsWith(externalModule, '@')) {
-      splitModule.splice(0, 1);
-      splitModule[0] = '@' + splitModule[0];
-    }
-    let moduleVersion = _.join(_.tail(splitModule), '@');
-    // We have to rebase file references to the target package.json
-    moduleVersion = rebaseFileReferences(pathToPackageRoot, moduleVersion);
-    packageJson.dependencies = packageJson.dependencies || {};
-    packageJson.dependencies[_.first(splitModule)] = moduleVersion;
+function getLayerModules(layerModules, index) {
+  const service = this.serverless.service;
+  const providerLayers = _.get(service, 'provider.layers', []);
+  const functions = this.entryFunctions ?
+    [_.get(this.entryFunctions, `[${index}].func`, {})] :
+    _.map(service.getAllFunctions(), funcName => service.getFunction(funcName));
+  const functionLayerModules = _.map(_.isEmpty(functions) ? [{}] : functions, func => {
+    return _.reduce(func.layers || providerLayers, (modules, reference) => {
+      const layerName = layers.findLayer(_.keys(layerModules), reference);
+      return layerName ? _.assign(modules, _.mapValues(layerModules[layerName], version => ({ layer: layerName, version }))) : modules;
+    }, {});
   });
+
+  const commonModuleNames = _.intersection.apply(_, _.map(functionLayerModules, _.keys));
+  return _.pickBy(_.first(functionLayerModules), (layerModule, moduleName) => _.includes(commonModuleNames, moduleName));
+}
+
+/**
+ * Get the CPU architectures (in `process.arch` notation) that the functions
+ * of a compile run on. The architecture of a function defaults to the one of
+ * the provider. If the service is packaged as a whole, the architectures of
+ * all functions are returned.
+ * @this - The active plugin instance
+ */
+function getTargetArchs(index) {
+  const service = this.serverless.service;
+  const providerArchitecture = _.get(service, 'provider.architecture', 'x86_64');
+  const functions = this.entryFunctions ?
+    _.compact([_.get(this.entryFunctions, `[${index}].func`)]) :
+    _.map(service.getAllFunctions(), funcName => service.getFunction(funcName));
+  const architectures = _.isEmpty(functions) ? [providerArchitecture] : _.map(functions, func => func.architecture || providerArchitecture);
+  return _.uniq(_.map(architectures, architecture => architecture === 'x86_64' ? 'x64' : architecture));
 }
 
 /**
- * Remove a given list of excluded modules from a module list
+ * Check that the native addons in a packaged node_modules folder are built
+ * for the Linux platform of Lambda and the given architectures. Mismatches
+ * are logged as warnings or fail the packaging.
+ * @param {string} modulePath - Directory that contains the node_modules folder
+ * @param {string} name - Name of the packaged function or layer
+ * @param {Array<string>} archs - Architectures the modules must run on
+ * @param {string} mode - warn or fail
  * @this - The active plugin instance
  */
-function removeExcludedModules(modules, packageForceExcludes, log) {
-  const excludedModules = _.remove(modules, externalModule => {
-    const splitModule = _.split(externalModule, '@');
-    // If we have a scoped module we have to re-add the @
-    if (_.startsWith(externalModule, '@')) {
-      splitModule.splice(0, 1);
-      splitModule[0] = '@' + splitModule[0];
+function checkNativeAddons(modulePath, name, archs, mode) {
+  return nativeAddons.findNativeAddons(modulePath)
+  .then(addons => {
+    const mismatches = _.flatMap(archs, arch => _.map(
+      _.reject(addons, addon => nativeAddons.isCompatible(addon, 'linux', arch)),
+      addon => `${addon.file} is built for ${addon.platform}-${_.join(addon.archs, '/') || 'unknown'}, but ${name} runs on linux-${arch}`
+    ));
+    if (mode === 'fail' && !_.isEmpty(mismatches)) {
+      throw new this.serverless.classes.Error(
+        'Native addons do not match the platform of the functions:\n' +
+        _.join(_.map(mismatches, mismatch => `  - ${mismatch}`), '\n') +
+        '\nInstall the modules on the target platform (e.g. in a Docker container) or set webpackIncludeModules.nativeAddons to warn.'
+      );
     }
-    const moduleName = _.first(splitModule);
-    return _.includes(packageForceExcludes, moduleName);
+    _.forEach(mismatches, mismatch => this.serverless.cli.log(`WARNING: Native addon ${mismatch}`));
+    return null;
+  });
+}
+
+/**
+ * Remove the files that are not needed at runtime from the packaged modules
+ * of a function or layer and log the saved size.
+ * @param {string} modulePath - Directory that contains the node_modules folder
+ * @param {Array<string>} moduleDirs - The packaged module directories
+ * @param {string} name - Name of the packaged function or layer
+ * @param {Array<string>} patterns - Glob patterns of the files to remove
+ * @this - The active plugin instance
+ */
+function slimPackagedModules(modulePath, moduleDirs, name, patterns) {
+  return slimModules.slimModules(modulePath, moduleDirs, patterns)
+  .then(slimmed => {
+    this.serverless.cli.log(`Slimmed external modules of ${name}: Removed ${slimmed.files} files, saved ${slimmed.bytes} bytes`);
+    return null;
   });
+}
+
+/**
+ * Get the module name of a module request (strips the path within the module).
+ */
+function getModuleName(request) {
+  const pathComponents = _.split(request, '/');
+  // Scoped modules consist of the scope and the module name
+  return _.startsWith(request, '@') ? _.join(_.take(pathComponents, 2), '/') : _.first(pathComponents);
+}
+
+/**
+ * Find the chain of dependency graph nodes from the root to the least nested
+ * occurrence of the given module. Returns only the root if the module
+ * cannot be found.
+ */
+function findModuleChain(dependencyGraph, moduleName) {
+  const queue = [[dependencyGraph]];
+  while (!_.isEmpty(queue)) {
+    const chain = queue.shift();
+    const dependencies = _.get(_.last(chain), 'dependencies');
+    if (_.has(dependencies, moduleName)) {
+      return _.concat(chain, dependencies[moduleName]);
+    }
+    Array.prototype.push.apply(queue, _.map(dependencies, dependency => _.concat(chain, dependency)));
+  }
+  return [dependencyGraph];
+}
+
+/**
+ * Resolve the version of a module as it is required by its origin module.
+ * The graph can contain nested and hoisted modules (like a package lock),
+ * so the module is searched in the origin's dependencies first and then
+ * in the dependencies of all its ancestors, the same way Node resolves it.
+ */
+function resolveModuleVersion(dependencyGraph, origin, moduleName) {
+  const chain = origin ? findModuleChain(dependencyGraph, getModuleName(origin)) : [dependencyGraph];
+  const resolvingNode = _.findLast(chain, node => _.has(node.dependencies, moduleName));
+  return _.get(resolvingNode ? resolvingNode.dependencies[moduleName] : {}, 'version');
+}
 
-  if (log && !_.isEmpty(excludedModules)) {
-    this.serverless.cli.log(`Excluding external modules: ${_.join(excludedModules, ', ')}`);
+/**
+ * Get the local reference of a workspace sibling package relative to the
+ * service's package.json. Returns undefined for other modules.
+ */
+function getWorkspaceReference(workspace, packageRoot, moduleName) {
+  const packageDir = workspace && workspace.packages[moduleName];
+  if (!packageDir || packageDir === packageRoot) {
+    return undefined;
   }
+  return `file:${_.replace(path.relative(packageRoot, packageDir), /\\/g, '/')}`;
 }
 
 /**
  * Resolve the needed versions of production depenencies for external modules.
+ * In a workspace, installed modules are resolved up to the workspace root and
+ * sibling packages are referenced as local modules.
  * @this - The active plugin instance
  */
-function getProdModules(externalModules, packagePath, dependencyGraph) {
+function getProdModules(externalModules, packagePath, dependencyGraph, workspace) {
   const packageJsonPath = path.join(process.cwd(), packagePath);
   const packageJson = require(packageJsonPath);
+  const packageRoot = path.dirname(packageJsonPath);
+  const prodDependencies = _.assign({}, packageJson.dependencies, packageJson.optionalDependencies);
   const prodModules = [];
 
-  // only process the module stated in dependencies section
-  if (!packageJson.dependencies) {
+  // only process the modules stated in the dependencies and optionalDependencies sections
+  if (_.isEmpty(prodDependencies)) {
     return [];
   }
 
   // Get versions of all transient modules
   _.forEach(externalModules, module => {
-    let moduleVersion = packageJson.dependencies[module.external];
+    const workspaceReference = getWorkspaceReference(workspace, packageRoot, module.external);
+    const isOptional = _.has(packageJson.optionalDependencies, module.external);
+    let moduleVersion = prodDependencies[module.external];
 
     if (moduleVersion) {
-      prodModules.push(`${module.external}@${moduleVersion}`);
+      const modulePackageDir = nodeModules.resolvePackageDir(module.external, packageRoot, _.get(workspace, 'root', packageRoot));
+      // Optional modules that could not be installed for the service are not needed by the functions either
+      if (isOptional && !modulePackageDir) {
+        this.options.verbose && this.serverless.cli.log(`Skipping optional module ${module.external}, it is not installed`);
+        return;
+      }
+      prodModules.push(`${module.external}@${workspaceReference || moduleVersion}`);
 
       // Check if the module has any peer dependencies and include them too
       try {
-        const modulePackagePath = path.join(
-          path.dirname(path.join(process.cwd(), packagePath)),
-          'node_modules',
-          module.external,
-          'package.json'
-        );
-        const peerDependencies = require(modulePackagePath).peerDependencies;
+        if (!modulePackageDir) {
+          throw new Error(`${module.external} is not installed`);
+        }
+        const peerDependencies = require(path.join(modulePackageDir, 'package.json')).peerDependencies;
         if (!_.isEmpty(peerDependencies)) {
           this.options.verbose && this.serverless.cli.log(`Adding explicit peers for dependency ${module.external}`);
-          const peerModules = getProdModules.call(this, _.map(peerDependencies, (value, key) => ({ external: key })), packagePath, dependencyGraph);
+          const peerModules = getProdModules.call(this, _.map(peerDependencies, (value, key) => ({ external: key })), packagePath, dependencyGraph, workspace);
           Array.prototype.push.apply(prodModules, peerModules);
         }
       } catch (e) {
@@ -108,8 +282,7 @@ function getProdModules(externalModules, packagePath, dependencyGraph) {
       }
     } else if (!packageJson.devDependencies || !packageJson.devDependencies[module.external]) {
       // Add transient dependencies if they appear not in the service's dev dependencies
-      const originInfo = _.get(dependencyGraph, 'dependencies', {})[module.origin] || {};
-      moduleVersion = _.get(_.get(originInfo, 'dependencies', {})[module.external], 'version');
+      moduleVersion = workspaceReference || resolveModuleVersion(dependencyGraph, module.origin, module.external);
       if (!moduleVersion) {
         this.serverless.cli.log(`WARNING: Could not determine version of module ${module.external}`);
       }
@@ -149,6 +322,21 @@ function findExternalOrigin(issuer) {
   return issuer;
 }
 
+/**
+ * Get a readable name of the module that imports an external module.
+ * @this - The active plugin instance
+ * @param {Object} issuer - Module issuer
+ */
+function getIssuerName(issuer) {
+  if (_.isNil(issuer)) {
+    return undefined;
+  }
+  if (issuer.resource) {
+    return path.relative(_.get(this.serverless, 'config.servicePath') || process.cwd(), issuer.resource);
+  }
+  return issuer.rawRequest;
+}
+
 function getExternalModules(stats) {
   const externals = new Set();
 
@@ -158,7 +346,8 @@ function getExternalModules(stats) {
       if (isExternalModule(module)) {
         externals.add({
           origin: _.get(findExternalOrigin(module.issuer), 'rawRequest'),
-          external: getExternalModuleName(module)
+          external: getExternalModuleName(module),
+          issuer: getIssuerName.call(this, module.issuer)
         });
       }
     });
@@ -167,23 +356,101 @@ function getExternalModules(stats) {
   return Array.from(externals);
 }
 
+/**
+ * Get the names of the installed modules that webpack bundled into a compile
+ * instead of referencing them as externals.
+ */
+function getBundledModules(stats) {
+  const bundledModules = new Set();
+
+  _.forEach(stats.compilation.chunks, chunk => {
+    chunk.forEachModule(module => {
+      const resourceComponents = _.split(_.replace(module.resource || '', /\\/g, '/'), '/');
+      const moduleIndex = _.lastIndexOf(resourceComponents, 'node_modules') + 1;
+      if (moduleIndex > 0 && !isExternalModule(module)) {
+        bundledModules.add(getModuleName(_.join(_.drop(resourceComponents, moduleIndex), '/')));
+      }
+    });
+  });
+
+  return Array.from(bundledModules);
+}
+
+/**
+ * Get the dependencies of the service that the dynamic requires of a compile
+ * may load, but that are neither packaged nor excluded for it. Dynamic
+ * requires that do not match any dependency are reported.
+ * @param {Array<string>} dependencies - Names of the service's dependencies
+ * @param {Array<string>} packagedModules - Names of the packaged and excluded modules
+ * @this - The active plugin instance
+ */
+function getDynamicModules(index, dependencies, packagedModules) {
+  const functionName = _.get(this.entryFunctions, index, {}).funcName || this.serverless.service.service;
+
+  return _.uniq(_.flatMap(_.get(this.dynamicRequires, index, []), dynamicRequire => {
+    const matchingModules = dynamicRequires.matchDependencies(dynamicRequire, dependencies);
+    if (_.isEmpty(matchingModules)) {
+      this.serverless.cli.log(
+        `WARNING: ${dynamicRequire.issuer || 'A module'} of function ${functionName} requires modules dynamically. ` +
+        'Add the modules that it loads to forceInclude.'
+      );
+    }
+    return _.difference(matchingModules, packagedModules);
+  }));
+}
+
+/**
+ * Find all external modules that are imported by the service code itself,
+ * but are not declared as production dependencies of the service.
+ * Modules that are imported by other modules (transient dependencies) and
+ * forcibly excluded modules are not checked.
+ * @this - The active plugin instance
+ */
+function findUndeclaredModules(stats, packagePath, includes, layerModules) {
+  const packageJson = require(path.join(process.cwd(), packagePath));
+
+  return _.flatMap(stats.stats, (compileStats, index) => {
+    const functionName = _.get(this.entryFunctions, index, {}).funcName || this.serverless.service.service;
+    const packageForceExcludes = getForcedModules.call(this, includes, index).forceExclude;
+    const isProvidedModule = getProvidedModules.call(this, includes, index);
+    const suppliedModules = getLayerModules.call(this, layerModules, index);
+    const externalModules = _.filter(getExternalModules.call(this, compileStats), module => {
+      const isServiceImport = !module.origin || _.startsWith(module.origin, '.') || path.isAbsolute(module.origin);
+      return isServiceImport &&
+        !_.has(packageJson.dependencies, module.external) &&
+        !_.has(packageJson.optionalDependencies, module.external) &&
+        !_.includes(packageForceExcludes, module.external) &&
+        !isProvidedModule(module.external) &&
+        !_.includes(_.keys(suppliedModules), module.external);
+    });
+
+    return _.map(externalModules, module => {
+      const declaration = _.has(packageJson.devDependencies, module.external) ? 'only declared in devDependencies' : 'not declared';
+      return `${module.external} (${declaration}) in function ${functionName}, imported by ${module.issuer || 'unknown module'}`;
+    });
+  });
+}
+
 module.exports = {
   /**
    * We need a performant algorithm to install the packages for each single
    * function (in case we package individually).
    * (1) We fetch ALL packages needed by ALL functions in a first step
-   * and use this as a base npm checkout. The checkout will be done to a
+   * and use this as a base packager checkout. The checkout will be done to a
    * separate temporary directory with a package.json that contains everything.
-   * (2) For each single compile we copy the whole node_modules to the compile
-   * directory and create a (function) compile specific package.json and store
-   * it in the compile directory. Now we start npm again there, and npm will just
-   * remove the superfluous packages and optimize the remaining dependencies.
-   * This will utilize the npm cache at its best and give us the needed results
-   * and performance.
+   * (2) For each single compile we create a (function) compile specific
+   * package.json and store it in the compile directory. Then we compute the
+   * closure of the function's modules from the installed package.json files
+   * and copy only these modules from the base checkout to the compile directory.
+   * Local `file:` dependencies are packed into tarballs in the base checkout
+   * and all package.json files and the lockfile reference these tarballs.
+   * No packager runs per function, so the result is deterministic and the
+   * functions can be processed in parallel, limited by the configured concurrency.
    */
   packExternalModules() {
 
     const stats = this.compileStats;
+    this.sharedLayer = null;
 
     const includes = (
       this.serverless.service.custom &&
@@ -195,46 +462,109 @@ module.exports = {
     }
 
     // Read plugin configuration
-    const packageForceIncludes = _.get(includes, 'forceInclude', []);
-    const packageForceExcludes = _.get(includes, 'forceExclude', []);
     const packagePath = includes.packagePath || './package.json';
     const packageJsonPath = path.join(process.cwd(), packagePath);
 
-    this.options.verbose && this.serverless.cli.log(`Fetch dependency graph from ${packageJsonPath}`);
-    // Get first level dependency graph
-    const command = 'npm ls -prod -json -depth=1';  // Only prod dependencies
-
-    const ignoredNpmErrors = [
-      { npmError: 'extraneous', log: false },
-      { npmError: 'missing', log: false },
-      { npmError: 'peer dep missing', log: true },
-    ];
-
-    return BbPromise.fromCallback(cb => {
-      childProcess.exec(command, {
-        cwd: path.dirname(packageJsonPath),
-        maxBuffer: this.serverless.service.custom.packExternalModulesMaxBuffer || 200 * 1024,
-        encoding: 'utf8'
-      }, (err, stdout, stderr) => {
-        if (err) {
-          // Only exit with an error if we have critical npm errors for 2nd level inside
-          const errors = _.split(stderr, '\n');
-          const failed = _.reduce(errors, (failed, error) => {
-            if (failed) {
-              return true;
-            }
-            return !_.isEmpty(error) && !_.some(ignoredNpmErrors, ignoredError => _.startsWith(error, `npm ERR! ${ignoredError.npmError}`));
-          }, false);
+    const packagerId = _.get(includes, 'packager', 'npm');
+    const isDeploy = _.first(_.get(this.serverless, 'processedInput.commands')) === 'deploy';
+    const strict = _.get(includes, 'strict', isDeploy);
+    const copyStrategy = _.get(includes, 'copyStrategy', 'copy');
+    const concurrency = _.get(includes, 'concurrency', _.size(os.cpus()) || 1);
+    const cache = _.get(includes, 'cache', false);
+    const cacheDir = cache && path.resolve(
+      _.get(this.serverless, 'config.servicePath') || process.cwd(),
+      _.isString(cache) ? cache : path.join(path.dirname(packageJsonPath), 'node_modules', '.cache', 'serverless-webpack')
+    );
+    const installOptions = _.get(includes, 'packagerOptions', {});
+    const packagerOptions = _.assign({}, installOptions, {
+      allowScripts: _.compact(_.castArray(installOptions.allowScripts)),
+      maxBuffer: this.serverless.service.custom.packExternalModulesMaxBuffer || 200 * 1024,
+      packageRoot: path.dirname(packageJsonPath)
+    });
 
-          if (failed) {
-            return cb(err);
-          }
-        }
-        return cb(null, stdout);
-      });
+    const nativeAddonsMode = _.get(includes, 'nativeAddons', 'warn');
+    const dynamicRequiresMode = _.get(includes, 'dynamicRequires', 'suggest');
+    const unusedDependenciesMode = _.get(includes, 'unusedDependencies', 'warn');
+    const slim = _.get(includes, 'slim', false);
+    const slimPatterns = slim && _.concat(
+      _.get(slim, 'defaults', true) ? slimModules.defaultPatterns : [],
+      _.get(slim, 'patterns', [])
+    );
+    const sharedLayerConfig = _.get(includes, 'sharedLayer', false);
+    const sharedLayer = sharedLayerConfig && _.assign({
+      name: 'externalModules',
+      threshold: 1
+    }, _.isObject(sharedLayerConfig) ? sharedLayerConfig : {});
+    const layerPaths = _.get(includes, 'layers', {});
+    const layerModules = _.mapValues(layerPaths, layerPath => layers.readLayerModules(
+      path.resolve(_.get(this.serverless, 'config.servicePath') || process.cwd(), layerPath)
+    ));
+    const unreadableLayer = _.findKey(layerModules, _.isNull);
+
+    if (unreadableLayer) {
+      return BbPromise.reject(new this.serverless.classes.Error(`Could not read the modules of layer ${unreadableLayer} from ${layerPaths[unreadableLayer]}.`));
+    }
+
+    if (!_.isInteger(concurrency) || concurrency < 1) {
+      return BbPromise.reject(new this.serverless.classes.Error(`concurrency must be a positive integer, but is '${concurrency}'.`));
+    }
+
+    if (sharedLayer && (!_.isInteger(sharedLayer.threshold) || sharedLayer.threshold < 1)) {
+      return BbPromise.reject(new this.serverless.classes.Error(`sharedLayer.threshold must be a positive integer, but is '${sharedLayer.threshold}'.`));
+    }
+
+    if (!_.includes([ 'warn', 'fail', false ], nativeAddonsMode)) {
+      return BbPromise.reject(new this.serverless.classes.Error(`Unknown nativeAddons setting '${nativeAddonsMode}'. Use 'warn', 'fail' or false.`));
+    }
+
+    if (!_.includes([ 'suggest', 'include', false ], dynamicRequiresMode)) {
+      return BbPromise.reject(new this.serverless.classes.Error(`Unknown dynamicRequires setting '${dynamicRequiresMode}'. Use 'suggest', 'include' or false.`));
+    }
+
+    if (!_.includes([ 'warn', 'fail', false ], unusedDependenciesMode)) {
+      return BbPromise.reject(new this.serverless.classes.Error(`Unknown unusedDependencies setting '${unusedDependenciesMode}'. Use 'warn', 'fail' or false.`));
+    }
+
+    if (!_.includes([ 'copy', 'link' ], copyStrategy)) {
+      return BbPromise.reject(new this.serverless.classes.Error(`Unknown copyStrategy '${copyStrategy}'. Use 'copy' or 'link'.`));
+    }
+
+    return BbPromise.try(() => {
+      if (!strict) {
+        return;
+      }
+      // Fail early if the deployed functions would miss modules at runtime
+      const undeclaredModules = _.uniq(findUndeclaredModules.call(this, stats, packagePath, includes, layerModules));
+      if (!_.isEmpty(undeclaredModules)) {
+        throw new this.serverless.classes.Error(
+          `Strict mode: The following external modules are not production dependencies in ${packageJsonPath}:\n` +
+          _.join(_.map(undeclaredModules, undeclaredModule => `  - ${undeclaredModule}`), '\n') +
+          '\nAdd them to the dependencies section, add them to forceExclude or set webpackIncludeModules.strict to false.'
+        );
+      }
     })
-    .then(depJson => BbPromise.try(() => JSON.parse(depJson)))
-    .then(dependencyGraph => {
+    .then(() => packagers.get.call(this, packagerId))
+    .then(packager => {
+      const workspace = workspaces.findWorkspace(packagerOptions.packageRoot);
+      if (workspace) {
+        // The packagers cannot list the modules of a single workspace package, so the installed modules are used
+        this.options.verbose && this.serverless.cli.log(`Fetch dependency graph from ${packageJsonPath} within workspace ${workspace.root}`);
+        const problems = [];
+        const packageJson = require(packageJsonPath);
+        const dependencies = nodeModules.getDependencyGraph(
+          _.assign({}, packageJson.dependencies, packageJson.optionalDependencies),
+          packagerOptions.packageRoot,
+          workspace.root,
+          1,
+          problems
+        );
+        return [ packager, workspace, { problems, dependencies } ];
+      }
+      this.options.verbose && this.serverless.cli.log(`Fetch dependency graph from ${packageJsonPath}`);
+      // Get first level dependency graph
+      return BbPromise.join(packager, null, packager.getProdDependencies(path.dirname(packageJsonPath), 1, packagerOptions));
+    })
+    .spread((packager, workspace, dependencyGraph) => {
       const problems = _.get(dependencyGraph, 'problems', []);
       if (this.options.verbose && !_.isEmpty(problems)) {
         this.serverless.cli.log(`Ignoring ${_.size(problems)} NPM errors:`);
@@ -243,15 +573,90 @@ module.exports = {
         });
       }
 
-      // (1) Generate dependency composition
-      const compositeModules = _.uniq(_.flatMap(stats.stats, compileStats => {
+      // (1) Generate dependency composition of the modules of each function
+      const excludedModules = [];
+      const providedModules = [];
+      const layerExcludedModules = [];
+      const layerMismatches = [];
+      const servicePackageJson = require(packageJsonPath);
+      const dependencyNames = _.keys(_.assign({}, servicePackageJson.dependencies, servicePackageJson.optionalDependencies));
+      const usedModules = [];
+      const functionModules = _.map(stats.stats, (compileStats, index) => {
+        const forcedModules = getForcedModules.call(this, includes, index);
         const externalModules = _.concat(
           getExternalModules.call(this, compileStats),
-          _.map(packageForceIncludes, whitelistedPackage => ({ external: whitelistedPackage }))
+          _.map(forcedModules.forceInclude, whitelistedPackage => ({ external: whitelistedPackage }))
+        );
+        // Webpack cannot resolve dynamic requires, so the modules that they may load are suggested or included
+        const dynamicModules = dynamicRequiresMode ?
+          getDynamicModules.call(this, index, dependencyNames, _.concat(_.map(externalModules, 'external'), forcedModules.forceExclude)) :
+          [];
+        if (!_.isEmpty(dynamicModules)) {
+          const functionName = _.get(this.entryFunctions, index, {}).funcName || this.serverless.service.service;
+          if (dynamicRequiresMode === 'include') {
+            this.serverless.cli.log(`Including dynamically required modules in function ${functionName}: ${_.join(dynamicModules, ', ')}`);
+            Array.prototype.push.apply(externalModules, _.map(dynamicModules, dynamicModule => ({ external: dynamicModule })));
+          } else {
+            this.serverless.cli.log(
+              `WARNING: Dynamic requires of function ${functionName} may load modules that are not packaged: ${_.join(dynamicModules, ', ')}. ` +
+              'Add them to forceInclude or set webpackIncludeModules.dynamicRequires to include.'
+            );
+          }
+        }
+        const prodModules = getProdModules.call(this, externalModules, packagePath, dependencyGraph, workspace);
+        Array.prototype.push.apply(usedModules, _.concat(
+          _.map(externalModules, 'external'),
+          _.map(prodModules, prodModule => _.replace(prodModule, /^(@?[^@]+)@.*$/, '$1')),
+          getBundledModules(compileStats)
+        ));
+        Array.prototype.push.apply(excludedModules, removeExcludedModules(prodModules, moduleName => _.includes(forcedModules.forceExclude, moduleName)));
+        Array.prototype.push.apply(providedModules, removeExcludedModules(prodModules, getProvidedModules.call(this, includes, index)));
+        const suppliedModules = getLayerModules.call(this, layerModules, index);
+        Array.prototype.push.apply(layerExcludedModules, removeExcludedModules(prodModules, (moduleName, moduleVersion) => {
+          if (!_.includes(_.keys(suppliedModules), moduleName)) {
+            return false;
+          }
+          const layerModule = suppliedModules[moduleName];
+          if (!layers.satisfies(layerModule.version, moduleVersion)) {
+            layerMismatches.push(`WARNING: Layer ${layerModule.layer} supplies ${moduleName}@${layerModule.version}, which does not satisfy ${moduleVersion} of the service`);
+          }
+          return true;
+        }));
+        return prodModules;
+      });
+      const compositeModules = _.uniq(_.flatten(functionModules));
+
+      const excludedCompositeModules = _.difference(_.uniq(excludedModules), compositeModules);
+      if (!_.isEmpty(excludedCompositeModules)) {
+        this.serverless.cli.log(`Excluding external modules: ${_.join(excludedCompositeModules, ', ')}`);
+      }
+      const providedCompositeModules = _.difference(_.uniq(providedModules), compositeModules);
+      if (!_.isEmpty(providedCompositeModules)) {
+        this.serverless.cli.log(`Excluding external modules provided by the runtime: ${_.join(providedCompositeModules, ', ')}`);
+      }
+      const layerCompositeModules = _.difference(_.uniq(layerExcludedModules), compositeModules);
+      if (!_.isEmpty(layerCompositeModules)) {
+        this.serverless.cli.log(`Excluding external modules supplied by layers: ${_.join(layerCompositeModules, ', ')}`);
+      }
+      _.forEach(_.uniq(layerMismatches), layerMismatch => this.serverless.cli.log(layerMismatch));
+
+      // Dependencies that no function uses can only be found if all functions are compiled
+      const unusedDependencies = unusedDependenciesMode && !this.options.function ?
+        _.difference(_.keys(servicePackageJson.dependencies), usedModules) :
+        [];
+      if (!_.isEmpty(unusedDependencies)) {
+        if (unusedDependenciesMode === 'fail') {
+          throw new this.serverless.classes.Error(
+            `The following dependencies in ${packageJsonPath} are not used by any function:\n` +
+            _.join(_.map(unusedDependencies, unusedDependency => `  - ${unusedDependency}`), '\n') +
+            '\nRemove them from the dependencies section or set webpackIncludeModules.unusedDependencies to warn.'
+          );
+        }
+        this.serverless.cli.log(
+          `WARNING: Dependencies that are not used by any function: ${_.join(unusedDependencies, ', ')}. ` +
+          'Remove them from the dependencies section or set webpackIncludeModules.unusedDependencies to false.'
         );
-        return getProdModules.call(this, externalModules, packagePath, dependencyGraph);
-      }));
-      removeExcludedModules.call(this, compositeModules, packageForceExcludes, true);
+      }
 
       if (_.isEmpty(compositeModules)) {
         // The compiled code does not reference any external modules at all
@@ -259,74 +664,218 @@ module.exports = {
         return BbPromise.resolve();
       }
 
-      // (1.a) Install all needed modules
+      // (1.b) Move the modules that many functions use into a shared layer
+      let sharedModules = [];
+      if (sharedLayer && !this.entryFunctions) {
+        this.serverless.cli.log('WARNING: The shared layer is only built when packaging individually');
+      } else if (sharedLayer) {
+        const moduleUsage = _.countBy(_.flatMap(functionModules, _.uniq));
+        sharedModules = _.filter(compositeModules, compositeModule => moduleUsage[compositeModule] > sharedLayer.threshold);
+      }
+      if (!_.isEmpty(sharedModules)) {
+        this.serverless.cli.log(`Moving external modules into the shared layer ${sharedLayer.name}: ${_.join(sharedModules, ', ')}`);
+        this.sharedLayer = {
+          name: sharedLayer.name,
+          logicalId: layers.getLayerLogicalId(sharedLayer.name),
+          path: path.join(this.webpackOutputPath, 'sharedLayer'),
+          functions: _.compact(_.map(this.entryFunctions, (entryFunction, index) => {
+            return !_.isEmpty(_.intersection(functionModules[index], sharedModules)) && entryFunction.funcName;
+          }))
+        };
+        _.forEach(functionModules, modules => _.pullAll(modules, sharedModules));
+      }
+
+      // (1.a) Install all needed modules. Optional modules stay optional, so that failing installs do not fail the build.
+      const optionalModules = _.keys(require(packageJsonPath).optionalDependencies);
       const compositeModulePath = path.join(this.webpackOutputPath, 'dependencies');
       const compositePackageJson = path.join(compositeModulePath, 'package.json');
+      const localModulesPath = path.join(compositeModulePath, 'local');
+      const packedModules = {};
+
+      // Each architecture that the functions run on gets its own installation
+      const functionArchs = _.map(stats.stats, (compileStats, index) => getTargetArchs.call(this, index));
+      const targetArchs = _.uniq(_.flatten(functionArchs));
+      const archModulePaths = _.size(targetArchs) === 1 ?
+        _.zipObject(targetArchs, [compositeModulePath]) :
+        _.zipObject(targetArchs, _.map(targetArchs, arch => path.join(compositeModulePath, 'archs', arch)));
+
+      // Copy the modules of the given package.json in the variants of the target architectures
+      const copyModuleClosure = (packageJson, targetPath, archs) => BbPromise.reduce(archs, (copiedDirs, arch) => {
+        const moduleDirs = _.difference(
+          nodeModules.getModuleClosure(packageJson.dependencies, packageJson.optionalDependencies, archModulePaths[arch], { os: 'linux', cpu: arch }),
+          copiedDirs
+        );
+        return nodeModules.copyModules(archModulePaths[arch], targetPath, moduleDirs, { link: copyStrategy === 'link' })
+        .return(_.concat(copiedDirs, moduleDirs));
+      }, []);
+
+      // Local references are relative to the service's package.json
+      const getLocalModule = reference => packedModules[localModules.resolveReference(reference, packagerOptions.packageRoot)];
+      const getTarballReference = (fromDir, localModule) => {
+        return `file:${_.replace(path.relative(fromDir, path.join(localModulesPath, localModule.tarball)), /\\/g, '/')}`;
+      };
+      // Local modules are referenced by their tarballs relative to the target package.json
+      const getModuleVersion = fromDir => moduleVersion => {
+        const localModule = localModules.isLocalReference(moduleVersion) && getLocalModule(moduleVersion);
+        return localModule ? getTarballReference(fromDir, localModule) : moduleVersion;
+      };
 
-      // (1.a.1) Create a package.json
+      // (1.a.1) Pack the local modules, so that they install like published ones
+      const localModulePaths = _.uniq(_.compact(_.map(compositeModules, compositeModule => {
+        const moduleVersion = _.replace(compositeModule, /^@?[^@]+@/, '');
+        return localModules.isLocalReference(moduleVersion) && localModules.resolveReference(moduleVersion, packagerOptions.packageRoot);
+      })));
+
+      // (1.a.2) Create a package.json
       const compositePackage = {
         name: this.serverless.service.service,
         version: '1.0.0',
         description: `Packaged externals for ${this.serverless.service.service}`,
         private: true
       };
-      const relPath = path.relative(compositeModulePath, path.dirname(packageJsonPath));
-      addModulesToPackageJson(compositeModules, compositePackage, relPath);
-      this.serverless.utils.writeFileSync(compositePackageJson, JSON.stringify(compositePackage, null, 2));
-
-      // (1.a.2) Copy package-lock.json if it exists, to prevent unwanted upgrades
-      const packageLockPath = path.join(path.dirname(packageJsonPath), 'package-lock.json');
-      return BbPromise.fromCallback(cb => fse.pathExists(packageLockPath, cb))
+      let compositePackageContents;
+      // In a workspace the lockfile of the workspace root locks the service as one of its packages
+      const lockfileDir = workspace ? workspace.root : path.dirname(packageJsonPath);
+      const lockfileImporter = _.replace(path.relative(lockfileDir, packagerOptions.packageRoot), /\\/g, '/') || '.';
+      const packageLockPath = packager.lockfileName && path.join(lockfileDir, packager.lockfileName);
+      const compositeLockPath = packager.lockfileName && path.join(compositeModulePath, packager.lockfileName);
+
+      return BbPromise.try(() => {
+        if (!packager.mustPackLocalModules || _.isEmpty(localModulePaths)) {
+          return;
+        }
+        this.options.verbose && this.serverless.cli.log(`Packing local modules: ${_.join(localModulePaths, ', ')}`);
+        const referenceDir = packager.packedReferencesFromRoot ? compositeModulePath : localModulesPath;
+        return localModules.packLocalModules(localModulePaths, localModulesPath, _.assign({}, packagerOptions, { referenceDir }), _.get(workspace, 'packages'))
+        .then(packed => _.assign(packedModules, packed));
+      })
+      .then(() => {
+        addModulesToPackageJson(compositeModules, compositePackage, getModuleVersion(compositeModulePath), optionalModules);
+        compositePackageContents = JSON.stringify(compositePackage, null, 2);
+        return this.serverless.utils.writeFileSync(compositePackageJson, compositePackageContents);
+      })
+      // (1.a.3) Copy the lock file if it exists, to prevent unwanted upgrades
+      .then(() => packager.lockfileName && BbPromise.fromCallback(cb => fse.pathExists(packageLockPath, cb)))
       .then(exists => {
         if (exists) {
           this.serverless.cli.log('Package lock found - Using locked versions');
           try {
-            const packageLockJson = this.serverless.utils.readFileSync(packageLockPath);
-            /**
-             * We should not be modifying 'package-lock.json'
-             * because this file should be treat as internal to npm.
-             *
-             * Rebase package-lock is a temporary workaround and must be
-             * removed as soon as https://github.com/npm/npm/issues/19183 gets fixed.
-             */
-            rebasePackageLock(relPath, packageLockJson);
-
-            this.serverless.utils.writeFileSync(path.join(compositeModulePath, 'package-lock.json'), JSON.stringify(packageLockJson, null, 2));
+            let lockfile = this.serverless.utils.readFileSync(packageLockPath);
+            // Local references in the lockfile are relative to the lockfile
+            lockfile = packager.replaceLocalModules(lockfile, reference => {
+              const localModule = packedModules[localModules.resolveReference(reference, lockfileDir)];
+              return localModule && {
+                reference: getTarballReference(compositeModulePath, localModule),
+                integrity: localModule.integrity,
+                packageJson: localModule.packageJson
+              };
+            });
+            // Frozen lockfile installs (e.g. npm ci) fail if the lockfile is out of sync with the composite package.json
+            lockfile = packager.pruneLockfile(lockfile, compositePackage, { importer: lockfileImporter });
+            if (_.isNil(lockfile)) {
+              this.serverless.cli.log(`WARNING: Could not lock the external modules with ${packageLockPath} - Installing without lock file`);
+              return null;
+            }
+            if (_.isObject(lockfile)) {
+              lockfile = JSON.stringify(lockfile, null, 2);
+            }
+
+            this.serverless.utils.writeFileSync(compositeLockPath, lockfile);
+            return lockfile;
           } catch(err) {
             this.serverless.cli.log(`Warning: Could not read lock file: ${err.message}`);
           }
         }
-        return BbPromise.resolve();
+        return null;
       })
-      .then(() => {
+      .then(lockfileContents => {
         const start = _.now();
         this.serverless.cli.log('Packing external modules: ' + compositeModules.join(', '));
-        return BbPromise.fromCallback(cb => {
-          childProcess.exec('npm install', {
-            cwd: compositeModulePath,
-            maxBuffer: this.serverless.service.custom.packExternalModulesMaxBuffer || 200 * 1024,
-            encoding: 'utf8'
-          }, cb);
+
+        // (1.a.4) Install the modules for every target architecture. Platform specific optional
+        //        modules differ between the architectures, so each one gets its own node_modules.
+        return BbPromise.mapSeries(targetArchs, arch => {
+          const archOptions = _.assign({}, packagerOptions, { os: 'linux', cpu: arch, workspaceRoot: _.get(workspace, 'root') });
+
+          // (1.a.5) Reuse a cached installation if nothing changed since it was cached
+          const cachedFiles = _.compact([ 'node_modules', packager.lockfileName ]);
+          const cacheKey = dependencyCache.getCacheKey([
+            packagerId,
+            JSON.stringify(installOptions),
+            compositePackageContents,
+            JSON.stringify(_.sortBy(_.map(packedModules, 'integrity'))),
+            lockfileContents,
+            process.version,
+            process.platform,
+            process.arch,
+            `linux-${arch}`
+          ]);
+          return BbPromise.try(() => cacheDir && dependencyCache.restore(cacheDir, cacheKey, compositeModulePath, cachedFiles))
+          .then(restored => {
+            if (restored) {
+              this.serverless.cli.log(`Using cached external modules from ${path.join(cacheDir, cacheKey)}`);
+              return BbPromise.resolve();
+            }
+            // (1.a.6) Make the packager configuration of the service visible to the install
+            return packagerConfig.findFiles(path.dirname(packageJsonPath), packager.configFileNames)
+            .then(configFiles => {
+              _.forEach(configFiles, files => {
+                this.options.verbose && this.serverless.cli.log(`Using packager configuration: ${_.join(files, ', ')}`);
+              });
+              return packagerConfig.writeFiles(configFiles, compositeModulePath);
+            })
+            .then(writtenFiles => packager.install(compositeModulePath, archOptions)
+              // Never leave secrets in the output folder
+              .finally(() => packagerConfig.removeFiles(writtenFiles)))
+            .then(() => cacheDir && dependencyCache.save(cacheDir, cacheKey, compositeModulePath, cachedFiles)
+              .catch(err => this.serverless.cli.log(`Warning: Could not cache external modules: ${err.message}`)));
+          })
+          .then(() => {
+            if (archModulePaths[arch] === compositeModulePath) {
+              return BbPromise.resolve();
+            }
+            // Make room for the installation of the next architecture
+            return BbPromise.fromCallback(cb => fse.move(
+              path.join(compositeModulePath, 'node_modules'),
+              path.join(archModulePaths[arch], 'node_modules'),
+              { overwrite: true },
+              cb
+            ));
+          });
         })
         .then(() => this.options.verbose && this.serverless.cli.log(`Package took [${_.now() - start} ms]`))
+        .then(() => {
+          if (!this.sharedLayer) {
+            return BbPromise.resolve();
+          }
+          // Lambda provides the modules of a layer from its nodejs/node_modules folder
+          const layerModulePath = path.join(this.sharedLayer.path, 'nodejs');
+          const layerPackage = {
+            dependencies: {}
+          };
+          addModulesToPackageJson(sharedModules, layerPackage, getModuleVersion(layerModulePath), optionalModules);
+          this.serverless.utils.writeFileSync(path.join(layerModulePath, 'package.json'), JSON.stringify(layerPackage, null, 2));
+
+          const layerArchs = _.uniq(_.flatMap(this.sharedLayer.functions, funcName => {
+            return functionArchs[_.findIndex(this.entryFunctions, [ 'funcName', funcName ])];
+          }));
+          const name = `layer ${this.sharedLayer.name}`;
+          return copyModuleClosure(layerPackage, layerModulePath, layerArchs)
+          .then(moduleDirs => slimPatterns && slimPackagedModules.call(this, layerModulePath, moduleDirs, name, slimPatterns))
+          .then(() => nativeAddonsMode && checkNativeAddons.call(this, layerModulePath, name, layerArchs, nativeAddonsMode));
+        })
         .return(stats.stats);
       })
-      .mapSeries(compileStats => {
+      .map((compileStats, index) => {
         const modulePath = compileStats.compilation.compiler.outputPath;
+        const startModule = _.now();
 
         // Create package.json
         const modulePackageJson = path.join(modulePath, 'package.json');
         const modulePackage = {
           dependencies: {}
         };
-        const prodModules = getProdModules.call(this,
-          _.concat(
-            getExternalModules.call(this, compileStats),
-            _.map(packageForceIncludes, whitelistedPackage => ({ external: whitelistedPackage }))
-          ), packagePath, dependencyGraph);
-        removeExcludedModules.call(this, prodModules, packageForceExcludes);
-        const relPath = path.relative(modulePath, path.dirname(packageJsonPath));
-        addModulesToPackageJson(prodModules, modulePackage, relPath);
+        addModulesToPackageJson(functionModules[index], modulePackage, getModuleVersion(modulePath), optionalModules);
         this.serverless.utils.writeFileSync(modulePackageJson, JSON.stringify(modulePackage, null, 2));
 
         // GOOGLE: Copy modules only if not google-cloud-functions
@@ -335,20 +884,13 @@ module.exports = {
           return BbPromise.resolve();
         }
 
-        const startCopy = _.now();
-        return BbPromise.fromCallback(callback => fse.copy(path.join(compositeModulePath, 'node_modules'), path.join(modulePath, 'node_modules'), callback))
-        .tap(() => this.options.verbose && this.serverless.cli.log(`Copy modules: ${modulePath} [${_.now() - startCopy} ms]`))
-        .then(() => {
-          // Prune extraneous packages - removes not needed ones
-          const startPrune = _.now();
-          return BbPromise.fromCallback(callback => {
-            childProcess.exec('npm prune', {
-              cwd: modulePath
-            }, callback);
-          })
-          .tap(() => this.options.verbose && this.serverless.cli.log(`Prune: ${modulePath} [${_.now() - startPrune} ms]`));
-        });
-      })
+        // Copy only the modules that are needed by the function
+        const name = `function ${_.get(this.entryFunctions, index, {}).funcName || this.serverless.service.service}`;
+        return copyModuleClosure(modulePackage, modulePath, functionArchs[index])
+        .then(moduleDirs => slimPatterns && slimPackagedModules.call(this, modulePath, moduleDirs, name, slimPatterns))
+        .then(() => nativeAddonsMode && checkNativeAddons.call(this, modulePath, name, functionArchs[index], nativeAddonsMode))
+        .tap(() => this.options.verbose && this.serverless.cli.log(`Packed external modules: ${modulePath} [${_.now() - startModule} ms]`));
+      }, { concurrency })
       .return();
     });
   }
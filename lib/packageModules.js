@@ -92,6 +92,37 @@ function zip(directory, name) {
   });
 }
 
+/**
+ * Zip the shared layer with the external modules, add it to the layers of
+ * the service and reference it from the functions that need its modules.
+ * @this - The active plugin instance
+ */
+function packageSharedLayer() {
+  const service = this.serverless.service;
+  const startZip = _.now();
+  return zip.call(this, this.sharedLayer.path, `${this.sharedLayer.name}.zip`)
+  .tap(() => this.options.verbose &&
+    this.serverless.cli.log(`Zip layer: ${this.sharedLayer.path} [${_.now() - startZip} ms]`))
+  .then(artifactPath => {
+    service.layers = _.assign({}, service.layers, {
+      [this.sharedLayer.name]: {
+        description: `External modules shared by the functions of ${service.getServiceObject().name}`,
+        package: {
+          artifact: path.relative(this.serverless.config.servicePath, artifactPath)
+        }
+      }
+    });
+
+    const layerReference = { Ref: this.sharedLayer.logicalId };
+    _.forEach(this.sharedLayer.functions, funcName => {
+      const func = service.getFunction(funcName);
+      // Function layers replace the ones of the provider
+      func.layers = _.concat(func.layers || _.get(service, 'provider.layers', []), layerReference);
+    });
+    return null;
+  });
+}
+
 module.exports = {
   packageModules() {
     const stats = this.compileStats;
@@ -127,6 +158,7 @@ module.exports = {
       }
 
       return null;
-    });
+    })
+    .then(() => this.sharedLayer && packageSharedLayer.call(this));
   }
 };
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Propagation of the packager configuration (e.g. `.npmrc`) into the
+ * composite install folder.
+ *
+ * Packagers only read the project configuration next to the package.json
+ * they install, so the scoped registries and auth tokens of the service are
+ * not visible in the composite folder. The applicable configuration files
+ * are merged into the composite folder for the time of the installation and
+ * removed afterwards, so they never end up in a function artifact or in the
+ * cache.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const os = require('os');
+const path = require('path');
+const fse = require('fs-extra');
+
+/**
+ * Get the directories from the package root up to the file system root.
+ * The user's home directory is skipped, because the packagers read the
+ * user configuration on their own.
+ */
+function getConfigDirs(packageRoot) {
+  const configDirs = [];
+  let dir = path.resolve(packageRoot);
+  for (;;) {
+    if (dir !== os.homedir()) {
+      configDirs.push(dir);
+    }
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      return configDirs;
+    }
+    dir = parentDir;
+  }
+}
+
+/**
+ * Find the configuration files that apply to the given package root.
+ * @param {string} packageRoot - Directory of the service's package.json
+ * @param {Array<string>} fileNames - Configuration file names of the packager
+ * @returns {BbPromise<Object>} - The found files per file name, ordered
+ *   from the outermost to the innermost directory
+ */
+function findFiles(packageRoot, fileNames) {
+  const configDirs = _.reverse(getConfigDirs(packageRoot));
+
+  return BbPromise.reduce(fileNames, (configFiles, fileName) => {
+    return BbPromise.filter(_.map(configDirs, configDir => path.join(configDir, fileName)),
+      configFile => BbPromise.fromCallback(cb => fse.pathExists(configFile, cb)))
+    .then(foundFiles => {
+      if (!_.isEmpty(foundFiles)) {
+        configFiles[fileName] = foundFiles;
+      }
+      return configFiles;
+    });
+  }, {});
+}
+
+/**
+ * Write the found configuration files into the target directory. Files
+ * with the same name are concatenated, so that the settings of the
+ * innermost file win. The written files are only readable by the owner,
+ * as they may contain secrets.
+ * @returns {BbPromise<Array<string>>} - The written files
+ */
+function writeFiles(configFiles, targetDir) {
+  return BbPromise.mapSeries(_.keys(configFiles), fileName => {
+    const targetFile = path.join(targetDir, fileName);
+    return BbPromise.mapSeries(configFiles[fileName], configFile => BbPromise.fromCallback(cb => fse.readFile(configFile, 'utf8', cb)))
+    .then(contents => BbPromise.fromCallback(cb => fse.writeFile(targetFile, _.join(contents, '\n'), { mode: 0o600 }, cb)))
+    .return(targetFile);
+  });
+}
+
+/**
+ * Remove the written configuration files.
+ */
+function removeFiles(writtenFiles) {
+  return BbPromise.mapSeries(writtenFiles, writtenFile => BbPromise.fromCallback(cb => fse.remove(writtenFile, cb)))
+  .return();
+}
+
+module.exports = {
+  findFiles,
+  writeFiles,
+  removeFiles
+};
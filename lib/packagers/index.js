@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Factory for supported packagers.
+ *
+ * All packagers must implement the following interface:
+ *
+ * interface Packager {
+ *
+ *   lockfileName: string|null;
+ *   configFileNames: Array<string>;
+ *   getProdDependencies(cwd: string, depth: number, options: Object): BbPromise<Object>;
+ *   mustPackLocalModules: boolean;
+ *   packedReferencesFromRoot: boolean;
+ *   replaceLocalModules(lockfile: Object|string, getLocalModule: Function): Object|string;
+ *   pruneLockfile(lockfile: Object|string, packageJson: Object, options: Object): Object|string|null;
+ *   install(cwd: string, options: Object): BbPromise<void>;
+ *
+ * }
+ *
+ * Packagers that do not use a lockfile set lockfileName to null.
+ * configFileNames are the project configuration files (e.g. `.npmrc`) that
+ * are made visible to the install of the composite modules.
+ * Packagers that install the composite modules set mustPackLocalModules, so
+ * that local `file:` dependencies are packed into tarballs before the
+ * install. replaceLocalModules() replaces the local modules in the lockfile
+ * with these tarballs. getLocalModule() takes a local reference of the
+ * lockfile and returns the tarball reference, integrity and package.json of
+ * the packed module or undefined, if the module has not been packed.
+ * Packed modules reference the tarballs of their local dependencies relative
+ * to their own tarball, or relative to the install directory if the packager
+ * sets packedReferencesFromRoot.
+ * pruneLockfile() removes the modules from the lockfile that are not needed
+ * by the given (composite) package.json, if the packager requires that. It
+ * returns null if the lockfile cannot be brought in sync with the
+ * package.json, in which case the modules are installed without lockfile.
+ * The importer option is the path of the service relative to the lockfile
+ * (`.` unless the lockfile belongs to a workspace root).
+ * getProdDependencies() resolves with a dependency graph in the format of
+ * `npm ls -json`. install() only installs the composite modules. The modules
+ * of each function are taken from there without running the packager again.
+ * The options contain the packager settings of the plugin configuration (e.g.
+ * the maximum buffer size for the packager output), the packageRoot
+ * directory of the service's package.json, the workspaceRoot directory if
+ * the service is a workspace package and the install settings
+ * ignoreScripts, production, ci, args and allowScripts (the modules that may
+ * run their install scripts). os and cpu are the target platform of the
+ * install, whose optional platform modules should be installed.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const npm = require('./npm');
+const offline = require('./offline');
+const pnpm = require('./pnpm');
+const yarn = require('./yarn');
+
+const registeredPackagers = {
+  npm,
+  offline,
+  pnpm,
+  yarn
+};
+
+module.exports = {
+  /**
+   * Get a packager by its id.
+   * @this - The active plugin instance
+   * @param {string} packagerId - Well known packager id
+   * @returns {BbPromise<Packager>} - The promised packager
+   */
+  get(packagerId) {
+    if (!_.has(registeredPackagers, packagerId)) {
+      const message = `Could not find packager '${packagerId}'`;
+      this.serverless.cli.log(`ERROR: ${message}`);
+      return BbPromise.reject(new this.serverless.classes.Error(message));
+    }
+    return BbPromise.resolve(registeredPackagers[packagerId]);
+  }
+};
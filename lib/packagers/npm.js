@@ -0,0 +1,396 @@
+'use strict';
+
+/**
+ * NPM packager.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const fse = require('fs-extra');
+const semver = require('semver');
+
+const utils = require('../utils');
+
+/**
+ * Convert the nested dependencies of a version 1 package lock into the
+ * `npm ls -json` format. Development dependencies are skipped.
+ */
+function convertLockfileDependencies(dependencies) {
+  return _.mapValues(_.omitBy(dependencies, 'dev'), dependency => ({
+    version: dependency.version,
+    dependencies: convertLockfileDependencies(dependency.dependencies)
+  }));
+}
+
+/**
+ * Convert the flat packages of a version 2+ package lock into the nested
+ * `npm ls -json` format. Development dependencies are skipped.
+ */
+function convertLockfilePackages(packages) {
+  const graph = { dependencies: {} };
+  const modulePaths = _.sortBy(_.filter(_.keys(packages), key => _.startsWith(key, 'node_modules/')), key => _.size(_.split(key, '/node_modules/')));
+
+  _.forEach(modulePaths, modulePath => {
+    const lockedPackage = packages[modulePath];
+    const moduleNames = _.split(_.replace(modulePath, /^node_modules\//, ''), '/node_modules/');
+    const parent = _.reduce(_.initial(moduleNames), (node, moduleName) => node && node.dependencies[moduleName], graph);
+    if (lockedPackage.dev || !parent) {
+      return;
+    }
+    parent.dependencies[_.last(moduleNames)] = {
+      version: lockedPackage.link ? `file:${lockedPackage.resolved}` : lockedPackage.version,
+      dependencies: {}
+    };
+  });
+
+  return graph.dependencies;
+}
+
+/**
+ * Get the key of the parent module of a flat lockfile key. The root has the
+ * empty key.
+ */
+function getParentKey(key) {
+  const index = _.lastIndexOf(key, '/node_modules/');
+  return index >= 0 ? key.substring(0, index) : '';
+}
+
+/**
+ * Check if a locked package satisfies a version specifier. Specifiers that
+ * are no semver ranges (e.g. tags or local references) are accepted. Aliases
+ * (`npm:name@range`) are checked against their range.
+ */
+function satisfiesSpec(lockedPackage, spec) {
+  const range = _.replace(spec || '', /^npm:@?[^@]+@/, '');
+  return !semver.validRange(range) || !semver.valid(lockedPackage.version) || semver.satisfies(lockedPackage.version, range);
+}
+
+/**
+ * Copy a locked package and the modules installed within it to another key.
+ * Packages that are installed at the target key are replaced.
+ */
+function movePackage(packages, sourcePackages, sourceKey, targetKey) {
+  _.forEach(_.keys(packages), key => {
+    if (key === targetKey || _.startsWith(key, `${targetKey}/`)) {
+      delete packages[key];
+    }
+  });
+  _.forEach(_.keys(sourcePackages), key => {
+    if (key === sourceKey || _.startsWith(key, `${sourceKey}/`)) {
+      packages[targetKey + key.substring(_.size(sourceKey))] = sourcePackages[key];
+    }
+  });
+}
+
+/**
+ * Resolve a module in the flat lockfile packages like Node does, starting at
+ * the given package and walking up to the root. If the resolved copy does not
+ * satisfy the requested version, a matching copy of the original lockfile is
+ * installed next to the requesting package. If the module cannot be resolved
+ * at all, the least nested copy of it is hoisted to the root, because
+ * transient external modules are installed at the top level.
+ * @param {Object} sourcePackages - The packages of the original lockfile
+ */
+function resolvePackageKey(packages, sourcePackages, moduleName, fromKey, spec) {
+  const rootKey = `node_modules/${moduleName}`;
+  let key = fromKey;
+  let resolvedKey = null;
+  for (;;) {
+    const candidate = key ? `${key}/node_modules/${moduleName}` : rootKey;
+    if (_.has(packages, candidate)) {
+      resolvedKey = candidate;
+      break;
+    }
+    if (!key) {
+      break;
+    }
+    key = getParentKey(key);
+  }
+  if (resolvedKey && satisfiesSpec(packages[resolvedKey], spec)) {
+    return resolvedKey;
+  }
+
+  const sourceKeys = _.sortBy(_.filter(_.keys(sourcePackages), key => key === rootKey || _.endsWith(key, `/${rootKey}`)), 'length');
+  const matchingKey = _.find(sourceKeys, key => satisfiesSpec(sourcePackages[key], spec));
+  if (resolvedKey && matchingKey) {
+    const targetKey = fromKey ? `${fromKey}/${rootKey}` : rootKey;
+    movePackage(packages, sourcePackages, matchingKey, targetKey);
+    return targetKey;
+  }
+  if (resolvedKey || _.isEmpty(sourceKeys)) {
+    return resolvedKey;
+  }
+  movePackage(packages, sourcePackages, matchingKey || _.first(sourceKeys), rootKey);
+  return rootKey;
+}
+
+/**
+ * Keep only the flat lockfile packages that are needed by the given root
+ * dependencies. The dependencies of a package are read with getDependencies.
+ */
+function pruneFlatPackages(lockedPackages, rootDependencies, getDependencies) {
+  const packages = _.clone(lockedPackages);
+  const keptKeys = {};
+  const getQueueEntries = (dependencies, fromKey) => _.map(dependencies, (spec, name) => ({ name, spec, fromKey }));
+  const queue = getQueueEntries(rootDependencies, '');
+
+  while (!_.isEmpty(queue)) {
+    const dependency = queue.shift();
+    const key = resolvePackageKey(packages, lockedPackages, dependency.name, dependency.fromKey, dependency.spec);
+    if (!key || keptKeys[key]) {
+      continue;
+    }
+    keptKeys[key] = true;
+
+    const lockedPackage = packages[key];
+    if (lockedPackage.link && _.has(packages, lockedPackage.resolved)) {
+      // Linked local modules are locked with their own entry
+      keptKeys[lockedPackage.resolved] = true;
+      Array.prototype.push.apply(queue, getQueueEntries(getDependencies(packages[lockedPackage.resolved]), lockedPackage.resolved));
+    }
+    Array.prototype.push.apply(queue, getQueueEntries(getDependencies(lockedPackage), key));
+  }
+
+  return _.pickBy(packages, (lockedPackage, key) => keptKeys[key]);
+}
+
+/**
+ * Flatten the nested dependencies of a version 1 package lock into lockfile
+ * keys, so that they can be pruned like the packages of newer lockfiles.
+ */
+function flattenLockfileDependencies(dependencies, parentKey) {
+  return _.reduce(dependencies, (packages, dependency, name) => {
+    const key = parentKey ? `${parentKey}/node_modules/${name}` : `node_modules/${name}`;
+    packages[key] = dependency;
+    return _.assign(packages, flattenLockfileDependencies(dependency.dependencies, key));
+  }, {});
+}
+
+/**
+ * Restore the nested dependencies of a version 1 package lock from the
+ * flattened lockfile keys.
+ */
+function nestLockfileDependencies(packages) {
+  const root = { dependencies: {} };
+  const keys = _.sortBy(_.keys(packages), key => _.size(_.split(key, '/node_modules/')));
+
+  _.forEach(keys, key => {
+    const moduleNames = _.split(_.replace(key, /^node_modules\//, ''), '/node_modules/');
+    const parent = _.reduce(_.initial(moduleNames), (node, moduleName) => node.dependencies[moduleName], root);
+    parent.dependencies = parent.dependencies || {};
+    parent.dependencies[_.last(moduleNames)] = _.omit(packages[key], 'dependencies');
+  });
+
+  return root.dependencies;
+}
+
+/**
+ * Make a package of a workspace the root of the flat lockfile packages. The
+ * modules installed within the package take precedence over the modules that
+ * are hoisted to the workspace root.
+ */
+function rerootPackages(packages, importer) {
+  const prefix = `${importer}/node_modules/`;
+  const rerootedPackages = _.omitBy(packages, (lockedPackage, key) => key === '' || key === importer || _.startsWith(key, prefix));
+  _.forEach(_.keys(packages), key => {
+    const moduleKey = key.substring(prefix.length);
+    if (_.startsWith(key, prefix) && !_.includes(moduleKey, '/node_modules/')) {
+      movePackage(rerootedPackages, packages, key, `node_modules/${moduleKey}`);
+    }
+  });
+  return rerootedPackages;
+}
+
+/**
+ * Prune the packages (version 2+) and the dependencies (version 1 and 2) of
+ * a package lock to the modules that are needed by the given package.json.
+ * @param {string} importer - The path of the service within the workspace of
+ *   the package lock, or `.` if the package lock belongs to the service
+ */
+function prunePackageLock(lockfile, packageJson, importer) {
+  const rootDependencies = _.assign({}, packageJson.dependencies, packageJson.optionalDependencies);
+  const prunedLockfile = _.assign({}, lockfile, {
+    name: packageJson.name,
+    version: packageJson.version
+  });
+
+  if (lockfile.packages) {
+    const lockedPackages = importer === '.' ? _.omit(lockfile.packages, '') : rerootPackages(lockfile.packages, importer);
+    const packages = pruneFlatPackages(lockedPackages, rootDependencies,
+      lockedPackage => _.assign({}, lockedPackage.dependencies, lockedPackage.optionalDependencies, lockedPackage.peerDependencies));
+    prunedLockfile.packages = _.assign({
+      '': _.pick(packageJson, [ 'name', 'version', 'dependencies', 'optionalDependencies' ])
+    }, packages);
+  }
+  if (lockfile.dependencies) {
+    const packages = pruneFlatPackages(flattenLockfileDependencies(lockfile.dependencies), rootDependencies,
+      lockedDependency => lockedDependency.requires);
+    prunedLockfile.dependencies = nestLockfileDependencies(packages);
+  }
+
+  return prunedLockfile;
+}
+
+/**
+ * Replace the local references of a dependency map by the tarball references.
+ */
+function replaceReferences(dependencies, getLocalModule) {
+  return dependencies && _.mapValues(dependencies, version => {
+    const localModule = _.startsWith(version, 'file:') && getLocalModule(version);
+    return localModule ? localModule.reference : version;
+  });
+}
+
+/**
+ * Replace the local modules in the nested dependencies of a version 1 (or 2)
+ * package lock.
+ */
+function replaceLockfileDependencies(dependencies, getLocalModule) {
+  return _.mapValues(dependencies, dependency => {
+    const localModule = _.startsWith(dependency.version, 'file:') && getLocalModule(dependency.version);
+    return _.omitBy(_.assign({}, dependency, {
+      version: localModule ? localModule.reference : dependency.version,
+      integrity: localModule ? localModule.integrity : dependency.integrity,
+      requires: replaceReferences(dependency.requires, getLocalModule),
+      dependencies: dependency.dependencies && replaceLockfileDependencies(dependency.dependencies, getLocalModule)
+    }), _.isUndefined);
+  });
+}
+
+/**
+ * Replace the links to local modules in the packages of a version 2+ package
+ * lock. The link targets are removed and the modules installed within a
+ * link target are moved below the link.
+ */
+function replaceLockfilePackages(packages, getLocalModule) {
+  const links = _.pickBy(packages, pkg => pkg.link && getLocalModule(pkg.resolved));
+  const linkTargets = _.mapValues(links, 'resolved');
+
+  return _.transform(packages, (result, pkg, key) => {
+    if (_.has(links, key)) {
+      const localModule = getLocalModule(pkg.resolved);
+      result[key] = _.omitBy({
+        version: localModule.packageJson.version,
+        resolved: localModule.reference,
+        integrity: localModule.integrity,
+        dependencies: localModule.packageJson.dependencies,
+        optionalDependencies: localModule.packageJson.optionalDependencies
+      }, _.isUndefined);
+      return;
+    }
+
+    const linkKey = _.findKey(linkTargets, linkTarget => key === linkTarget || _.startsWith(key, `${linkTarget}/`));
+    if (linkKey) {
+      if (key !== linkTargets[linkKey]) {
+        result[`${linkKey}${key.slice(linkTargets[linkKey].length)}`] = pkg;
+      }
+      return;
+    }
+
+    result[key] = key === '' ? _.omitBy(_.assign({}, pkg, {
+      dependencies: replaceReferences(pkg.dependencies, getLocalModule),
+      optionalDependencies: replaceReferences(pkg.optionalDependencies, getLocalModule)
+    }), _.isUndefined) : pkg;
+  }, {});
+}
+
+module.exports = {
+  lockfileName: 'package-lock.json',
+
+  configFileNames: ['.npmrc'],
+
+  mustPackLocalModules: true,
+
+  packedReferencesFromRoot: false,
+
+  /**
+   * Fetch the production dependency graph. If a package lock exists, the
+   * complete graph is read from it. Otherwise it is fetched with `npm ls`,
+   * where minor npm errors (extraneous or missing modules) are ignored.
+   */
+  getProdDependencies(cwd, depth, options) {
+    const lockfile = fse.readJsonSync(path.join(cwd, module.exports.lockfileName), { throws: false });
+    if (lockfile) {
+      return BbPromise.resolve({
+        problems: [],
+        dependencies: lockfile.packages ? convertLockfilePackages(lockfile.packages) : convertLockfileDependencies(lockfile.dependencies)
+      });
+    }
+
+    const command = `npm ls -prod -json -depth=${depth || 1}`;  // Only prod dependencies
+
+    const ignoredNpmErrors = [
+      { npmError: 'extraneous', log: false },
+      { npmError: 'missing', log: false },
+      { npmError: 'peer dep missing', log: true },
+    ];
+
+    return utils.exec(command, cwd, options)
+    .catch(err => {
+      // Only exit with an error if we have critical npm errors for 2nd level inside
+      const errors = _.split(err.stderr, '\n');
+      const failed = _.reduce(errors, (failed, error) => {
+        if (failed) {
+          return true;
+        }
+        return !_.isEmpty(error) && !_.some(ignoredNpmErrors, ignoredError => _.startsWith(error, `npm ERR! ${ignoredError.npmError}`));
+      }, false);
+
+      if (failed) {
+        return BbPromise.reject(err);
+      }
+      return err.stdout;
+    })
+    .then(depJson => BbPromise.try(() => JSON.parse(depJson)));
+  },
+
+  /**
+   * Replace the local modules in the package lock with their tarballs.
+   * Links to local modules become regular packages, that contain the
+   * modules installed within the local module.
+   */
+  replaceLocalModules(lockfile, getLocalModule) {
+    const replacedLockfile = _.clone(lockfile);
+    if (lockfile.packages) {
+      replacedLockfile.packages = replaceLockfilePackages(lockfile.packages, getLocalModule);
+    }
+    if (lockfile.dependencies) {
+      replacedLockfile.dependencies = replaceLockfileDependencies(lockfile.dependencies, getLocalModule);
+    }
+    return replacedLockfile;
+  },
+
+  /**
+   * Prune the package lock to the composite modules and their dependencies,
+   * so that it is in sync with the composite package.json for `npm ci`.
+   */
+  pruneLockfile(lockfile, packageJson, options) {
+    return prunePackageLock(lockfile, packageJson, _.get(options, 'importer', '.'));
+  },
+
+  /**
+   * Install the modules. `npm ci` is used instead of `npm install` if a
+   * lockfile exists, unless it is disabled. If only some modules may run their install
+   * scripts, the scripts are ignored during the install and the allowed
+   * modules are rebuilt afterwards. The optional platform modules are
+   * installed for the target platform (supported since npm 9.6).
+   */
+  install(cwd, options) {
+    const allowScripts = _.get(options, 'allowScripts', []);
+
+    return BbPromise.try(() => options.ci !== false && BbPromise.fromCallback(cb => fse.pathExists(path.join(cwd, module.exports.lockfileName), cb)))
+    .then(useCi => {
+      const command = _.join(_.compact(_.concat(
+        useCi ? 'npm ci' : 'npm install',
+        (options.ignoreScripts || !_.isEmpty(allowScripts)) && '--ignore-scripts',
+        options.production && '--production',
+        utils.isCrossPlatform(options) && [ `--os=${options.os}`, `--cpu=${options.cpu}` ],
+        options.args
+      )), ' ');
+      return utils.exec(command, cwd, options);
+    })
+    .then(() => !_.isEmpty(allowScripts) && utils.exec(`npm rebuild ${_.join(allowScripts, ' ')}`, cwd, options))
+    .return();
+  }
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Offline packager.
+ *
+ * The offline packager does not install anything. Instead it copies the
+ * needed modules and their full transitive closure from the node_modules
+ * folder of the service, which must have been installed before. The modules
+ * are resolved like Node resolves them, so nested and hoisted modules are
+ * copied to the same relative locations.
+ *
+ * Offline specific packagerOptions:
+ *   packageRoot - Directory of the service's package.json and node_modules
+ *   workspaceRoot - Directory of the workspace with the hoisted modules, if
+ *     the service is a workspace package
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const nodeModules = require('../nodeModules');
+
+module.exports = {
+  lockfileName: null,
+
+  configFileNames: [],
+
+  // Local modules are copied as they are installed in the service
+  mustPackLocalModules: false,
+
+  packedReferencesFromRoot: false,
+
+  getProdDependencies(cwd, depth) {
+    return BbPromise.try(() => {
+      const packageJson = nodeModules.readPackageJson(cwd);
+      if (!packageJson) {
+        throw new Error(`Could not read ${path.join(cwd, 'package.json')}`);
+      }
+      const problems = [];
+      const dependencies = nodeModules.getDependencyGraph(packageJson.dependencies, cwd, cwd, depth || 1, problems);
+      return {
+        problems,
+        dependencies
+      };
+    });
+  },
+
+  replaceLocalModules(lockfile) {
+    return lockfile;
+  },
+
+  pruneLockfile(lockfile) {
+    return lockfile;
+  },
+
+  /**
+   * Copy the modules of the package.json in cwd from the service's node_modules.
+   * In a workspace the modules are resolved up to the workspace root. The
+   * modules installed within the service are copied to the top level, where
+   * they replace the hoisted modules of the same name. Hoisted modules that
+   * depend on a replaced module get their own copy of it.
+   */
+  install(cwd, options) {
+    return BbPromise.try(() => {
+      const packageJson = nodeModules.readPackageJson(cwd);
+      const rootDir = options.workspaceRoot || options.packageRoot;
+      const moduleDirs = nodeModules.getModuleClosure(packageJson.dependencies, packageJson.optionalDependencies, rootDir, null, options.packageRoot);
+      const isWithin = (moduleDir, parentDir) => moduleDir === parentDir || _.startsWith(moduleDir, `${parentDir}${path.sep}`);
+
+      const serviceModulesDir = path.join(path.relative(rootDir, options.packageRoot), 'node_modules');
+      const serviceCopies = _.map(_.filter(moduleDirs, moduleDir => isWithin(moduleDir, serviceModulesDir)), moduleDir => ({
+        source: moduleDir,
+        target: path.join('node_modules', path.relative(serviceModulesDir, moduleDir))
+      }));
+      const isReplaced = moduleDir => _.some(serviceCopies, copy => isWithin(moduleDir, copy.target));
+      const hoistedDirs = _.reject(moduleDirs, moduleDir => isWithin(moduleDir, serviceModulesDir) || isReplaced(moduleDir));
+
+      const nestedCopies = _.flatMap(hoistedDirs, moduleDir => {
+        const modulePackageJson = nodeModules.readPackageJson(path.join(rootDir, moduleDir));
+        return _.flatMap(_.keys(_.assign({}, modulePackageJson.dependencies, modulePackageJson.optionalDependencies)), name => {
+          const packageDir = nodeModules.resolvePackageDir(name, path.join(rootDir, moduleDir), rootDir);
+          const dependencyDir = packageDir && path.relative(rootDir, packageDir);
+          if (!dependencyDir || !isReplaced(dependencyDir)) {
+            return [];
+          }
+          return _.map(_.filter(moduleDirs, dir => isWithin(dir, dependencyDir)), dir => ({
+            source: dir,
+            target: path.join(moduleDir, 'node_modules', name, path.relative(dependencyDir, dir))
+          }));
+        });
+      });
+
+      return nodeModules.copyModules(rootDir, cwd, hoistedDirs)
+      .then(() => BbPromise.mapSeries(_.concat(serviceCopies, nestedCopies), copy => {
+        return nodeModules.copyModules(path.join(rootDir, copy.source), path.join(cwd, copy.target), ['.']);
+      }))
+      .return();
+    });
+  }
+};
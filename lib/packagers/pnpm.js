@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * pnpm packager.
+ *
+ * pnpm links its modules from a content-addressable store, so the default
+ * layout of node_modules consists of symlinks that break when copied into
+ * the function artifacts. The packager therefore installs with the hoisted
+ * node linker, which creates a flat and self-contained node_modules folder.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const fse = require('fs-extra');
+const semver = require('semver');
+
+const utils = require('../utils');
+
+const installCommand = 'pnpm install --config.node-linker=hoisted';
+
+// Lockfile settings that belong to the service's package.json or pnpm hooks
+const serviceSettings = [ 'overrides', 'packageExtensionsChecksum', 'pnpmfileChecksum' ];
+
+/**
+ * Convert the dependencies of `pnpm list --json` into the `npm ls -json` format.
+ */
+function convertDependencies(dependencies) {
+  return _.mapValues(dependencies, dependency => ({
+    version: dependency.version,
+    dependencies: convertDependencies(dependency.dependencies)
+  }));
+}
+
+/**
+ * Replace all `file:` and `link:` references to local modules and their
+ * directory resolutions within a lockfile value with their tarballs.
+ */
+function replaceReferences(value, getLocalModule) {
+  if (_.isString(value)) {
+    return _.replace(value, /(file|link):[^(\s]+/g, reference => _.get(getLocalModule(reference), 'reference', reference));
+  }
+  if (_.isArray(value)) {
+    return _.map(value, item => replaceReferences(item, getLocalModule));
+  }
+  if (_.isPlainObject(value)) {
+    return _.transform(value, (result, item, key) => {
+      // Local directory resolutions are plain paths relative to the lockfile
+      const localModule = key === 'resolution' && _.isString(_.get(item, 'directory')) && getLocalModule(item.directory);
+      if (localModule) {
+        result[key] = {
+          integrity: localModule.integrity,
+          tarball: localModule.reference
+        };
+        return;
+      }
+      result[replaceReferences(key, getLocalModule)] = replaceReferences(item, getLocalModule);
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Get the key of a locked package from the version of a dependency. Aliases
+ * are locked with their own name and version. Version 6 lockfiles prefix the
+ * keys with a slash. Linked modules are not locked.
+ */
+function getPackageKey(name, version, keyPrefix) {
+  if (!_.isString(version) || _.startsWith(version, 'link:')) {
+    return null;
+  }
+  if (_.startsWith(version, '/')) {
+    return version;
+  }
+  const isAlias = !_.startsWith(version, 'file:') && /^@?[^@(]+@/.test(version);
+  return keyPrefix + (isAlias ? version : `${name}@${version}`);
+}
+
+/**
+ * Remove the peer dependency suffix of a package key.
+ */
+function getPackageId(key) {
+  return _.replace(key, /\(.*$/, '');
+}
+
+/**
+ * Find the locked version of a module that satisfies a version specifier.
+ */
+function findLockedVersion(graph, name, spec, keyPrefix) {
+  const namePrefix = `${keyPrefix}${name}@`;
+  const key = _.find(_.keys(graph), key => {
+    if (!_.startsWith(key, namePrefix)) {
+      return false;
+    }
+    const version = getPackageId(key.substring(namePrefix.length));
+    return version === spec || !!semver.valid(version) && !!semver.validRange(spec) && semver.satisfies(version, spec);
+  });
+  return key && key.substring(namePrefix.length);
+}
+
+/**
+ * Lock the dependencies of a package.json with the locked dependencies of
+ * the service, or with any locked version that satisfies them. Returns null
+ * if a dependency cannot be locked.
+ */
+function lockDependencies(dependencies, serviceImporter, graph, keyPrefix) {
+  const lockedDependencies = _.mapValues(dependencies, (spec, name) => {
+    const lockedDependency = _.get(serviceImporter, 'dependencies', {})[name] || _.get(serviceImporter, 'optionalDependencies', {})[name];
+    if (_.get(lockedDependency, 'specifier') === spec) {
+      return lockedDependency;
+    }
+    const version = findLockedVersion(graph, name, spec, keyPrefix);
+    return version ? { specifier: spec, version } : null;
+  });
+  return _.some(lockedDependencies, _.isNull) ? null : lockedDependencies;
+}
+
+/**
+ * Prune a version 6 or 9 lockfile to the modules that are needed by the given
+ * package.json. The root importer is replaced by the dependencies of the
+ * package.json, so that it is in sync for a frozen lockfile install.
+ * Returns null if the lockfile format is not supported or a dependency of the
+ * package.json is not locked.
+ * @param {string} importer - The importer of the service in the lockfile
+ */
+function pruneLockfile(lockfile, packageJson, importer) {
+  const lockfileVersion = _.toNumber(lockfile.lockfileVersion);
+  if (lockfileVersion < 6) {
+    return null;
+  }
+  const isSnapshotLockfile = lockfileVersion >= 9;
+  const keyPrefix = isSnapshotLockfile ? '' : '/';
+  const graph = (isSnapshotLockfile ? lockfile.snapshots : lockfile.packages) || {};
+  const serviceImporter = lockfile.importers ? lockfile.importers[importer] : lockfile;
+
+  const prunedImporter = _.omitBy({
+    dependencies: lockDependencies(packageJson.dependencies, serviceImporter, graph, keyPrefix),
+    optionalDependencies: lockDependencies(packageJson.optionalDependencies, serviceImporter, graph, keyPrefix)
+  }, _.isEmpty);
+  if (_.some(_.pick(packageJson, [ 'dependencies', 'optionalDependencies' ]), (dependencies, type) => !_.isEmpty(dependencies) && !prunedImporter[type])) {
+    return null;
+  }
+
+  const keptKeys = {};
+  const getPackageKeys = dependencies => _.map(dependencies, (dependency, name) => getPackageKey(name, _.get(dependency, 'version', dependency), keyPrefix));
+  const queue = _.concat(getPackageKeys(prunedImporter.dependencies), getPackageKeys(prunedImporter.optionalDependencies));
+  while (!_.isEmpty(queue)) {
+    const key = queue.shift();
+    if (!key || keptKeys[key] || !_.has(graph, key)) {
+      continue;
+    }
+    keptKeys[key] = true;
+    Array.prototype.push.apply(queue, _.concat(getPackageKeys(graph[key].dependencies), getPackageKeys(graph[key].optionalDependencies)));
+  }
+
+  const prunedLockfile = _.omit(lockfile, _.concat(serviceSettings, [ 'importers', 'dependencies', 'devDependencies', 'optionalDependencies' ]));
+  if (isSnapshotLockfile) {
+    const keptIds = _.map(_.keys(keptKeys), getPackageId);
+    // Keep the order of the lockfile sections, where the importers come first
+    return _.assign(_.pick(prunedLockfile, [ 'lockfileVersion', 'settings' ]), {
+      importers: { '.': prunedImporter }
+    }, prunedLockfile, {
+      packages: _.pickBy(lockfile.packages, (lockedPackage, key) => _.includes(keptIds, key)),
+      snapshots: _.pickBy(lockfile.snapshots, (snapshot, key) => keptKeys[key])
+    });
+  }
+  // Version 6 lockfiles of single projects have no importers
+  return _.assign(prunedLockfile, prunedImporter, {
+    packages: _.pickBy(lockfile.packages, (lockedPackage, key) => keptKeys[key])
+  });
+}
+
+module.exports = {
+  lockfileName: 'pnpm-lock.yaml',
+
+  configFileNames: ['.npmrc'],
+
+  mustPackLocalModules: true,
+
+  // pnpm resolves the local references within packed modules against the install directory
+  packedReferencesFromRoot: true,
+
+  getProdDependencies(cwd, depth, options) {
+    const command = `pnpm list --prod --json --depth=${depth || 1}`;
+
+    return utils.exec(command, cwd, options)
+    .then(depJson => BbPromise.try(() => JSON.parse(depJson)))
+    .then(projects => ({
+      problems: [],
+      dependencies: convertDependencies(_.get(_.first(_.castArray(projects)), 'dependencies'))
+    }));
+  },
+
+  /**
+   * The lockfile is read as parsed YAML. The replaced lockfile object is
+   * written as JSON, which is valid YAML and can be read by pnpm.
+   */
+  replaceLocalModules(lockfile, getLocalModule) {
+    return replaceReferences(lockfile, getLocalModule);
+  },
+
+  /**
+   * Prune the lockfile to the composite modules and their dependencies. pnpm
+   * installs with a frozen lockfile, which must match the composite package.json.
+   */
+  pruneLockfile(lockfile, packageJson, options) {
+    return pruneLockfile(lockfile, packageJson, _.get(options, 'importer', '.'));
+  },
+
+  /**
+   * Install the modules. The lockfile is frozen if it exists. Otherwise pnpm
+   * resolves the modules, even where it would freeze the lockfile by default (CI).
+   */
+  install(cwd, options) {
+    const allowScripts = _.get(options, 'allowScripts', []);
+
+    return BbPromise.fromCallback(cb => fse.pathExists(path.join(cwd, module.exports.lockfileName), cb))
+    .then(hasLockfile => _.join(_.compact(_.concat(
+      installCommand,
+      hasLockfile ? '--frozen-lockfile' : '--no-frozen-lockfile',
+      (options.ignoreScripts || !_.isEmpty(allowScripts)) && '--ignore-scripts',
+      options.production && '--prod',
+      utils.isCrossPlatform(options) && [ `--os=${options.os}`, `--cpu=${options.cpu}` ],
+      options.args
+    )), ' '))
+    .then(command => utils.exec(command, cwd, options))
+    .then(() => !_.isEmpty(allowScripts) && utils.exec(`pnpm rebuild ${_.join(allowScripts, ' ')}`, cwd, options))
+    .return();
+  }
+};
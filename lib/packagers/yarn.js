@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Yarn packager.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const semver = require('semver');
+
+const utils = require('../utils');
+
+/**
+ * Convert the trees of `yarn list --json` into the `npm ls -json` format.
+ */
+function convertTrees(trees) {
+  return _.reduce(trees, (dependencies, tree) => {
+    const splitModule = utils.splitModuleVersion(tree.name);
+    dependencies[splitModule.name] = {
+      version: splitModule.version,
+      dependencies: convertTrees(tree.children)
+    };
+    return dependencies;
+  }, {});
+}
+
+/**
+ * Read the entries of a yarn.lock with their patterns (e.g. `chalk@^2.4.2`)
+ * and locked versions.
+ */
+function getLockedEntries(lockfile) {
+  const entries = [];
+  _.replace(lockfile, /^((\S.*):)\n {2}version "([^"]*)"/gm, (match, header, patterns, version) => {
+    entries.push({
+      header,
+      patterns: _.map(_.split(patterns, ', '), pattern => _.trim(pattern, '"')),
+      version
+    });
+    return match;
+  });
+  return entries;
+}
+
+/**
+ * Add the patterns of the given dependencies to the locked entries of the
+ * modules, if the yarn.lock does not contain them yet. Transient modules are
+ * pinned to their resolved version in the composite package.json, which is
+ * only locked with the range of their origin module. Returns null if a
+ * dependency is not locked at all.
+ */
+function addLockedPatterns(lockfile, dependencies) {
+  const entries = getLockedEntries(lockfile);
+  return _.reduce(dependencies, (contents, spec, name) => {
+    const pattern = `${name}@${spec}`;
+    if (_.isNull(contents) || _.some(entries, entry => _.includes(entry.patterns, pattern))) {
+      return contents;
+    }
+    const lockedEntry = _.find(entries, entry => {
+      return _.some(entry.patterns, lockedPattern => _.startsWith(lockedPattern, `${name}@`) && !_.includes(lockedPattern, '@npm:')) &&
+        (entry.version === spec || semver.satisfies(entry.version, spec));
+    });
+    if (!lockedEntry) {
+      return null;
+    }
+    const header = `${_.trimEnd(lockedEntry.header, ':')}, "${pattern}":`;
+    const replacedContents = _.replace(contents, new RegExp(`^${_.escapeRegExp(lockedEntry.header)}$`, 'm'), header);
+    lockedEntry.header = header;
+    lockedEntry.patterns.push(pattern);
+    return replacedContents;
+  }, lockfile);
+}
+
+module.exports = {
+  lockfileName: 'yarn.lock',
+
+  configFileNames: [ '.npmrc', '.yarnrc' ],
+
+  mustPackLocalModules: true,
+
+  packedReferencesFromRoot: false,
+
+  getProdDependencies(cwd, depth, options) {
+    const command = `yarn list --depth=${depth || 1} --json --production`;
+
+    return utils.exec(command, cwd, options)
+    .then(depJson => BbPromise.try(() => JSON.parse(depJson)))
+    .then(parsedTree => ({
+      problems: [],
+      dependencies: convertTrees(_.get(parsedTree, 'data.trees', []))
+    }));
+  },
+
+  /**
+   * Replace all `file:` references to local modules in the yarn.lock contents
+   * with the references of their tarballs.
+   */
+  replaceLocalModules(lockfile, getLocalModule) {
+    return _.replace(lockfile, /file:[^"\s,:]+/g, fileReference => _.get(getLocalModule(fileReference), 'reference', fileReference));
+  },
+
+  /**
+   * The frozen lockfile install keeps the locked versions and ignores unused
+   * entries, but needs the patterns of all composite modules. Sibling packages
+   * of a workspace are not locked in the yarn.lock of the workspace root.
+   */
+  pruneLockfile(lockfile, packageJson) {
+    return addLockedPatterns(lockfile, _.assign({}, packageJson.dependencies, packageJson.optionalDependencies));
+  },
+
+  /**
+   * Install the modules. yarn cannot rebuild single modules, so the modules
+   * that may run their install scripts are rebuilt with npm. yarn cannot
+   * install for another platform, so the platform checks are skipped and the
+   * variants of all platforms are installed.
+   */
+  install(cwd, options) {
+    const allowScripts = _.get(options, 'allowScripts', []);
+    const command = _.join(_.compact(_.concat(
+      'yarn install --frozen-lockfile --non-interactive',
+      (options.ignoreScripts || !_.isEmpty(allowScripts)) && '--ignore-scripts',
+      options.production && '--production',
+      utils.isCrossPlatform(options) && '--ignore-platform',
+      options.args
+    )), ' ');
+
+    return utils.exec(command, cwd, options)
+    .then(() => !_.isEmpty(allowScripts) && utils.exec(`npm rebuild ${_.join(allowScripts, ' ')}`, cwd, options))
+    .return();
+  }
+};
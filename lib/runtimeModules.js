@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Modules that are provided by the execution environment of a provider
+ * runtime and do not have to be packaged.
+ *
+ * Module names can end with `/*` to match all modules of a scope.
+ */
+
+const _ = require('lodash');
+
+const runtimeModules = {
+  aws: {
+    'nodejs4.3': ['aws-sdk'],
+    'nodejs4.3-edge': ['aws-sdk'],
+    'nodejs6.10': ['aws-sdk'],
+    'nodejs8.10': ['aws-sdk'],
+    'nodejs10.x': ['aws-sdk'],
+    'nodejs12.x': ['aws-sdk'],
+    'nodejs14.x': ['aws-sdk'],
+    'nodejs16.x': ['aws-sdk'],
+    // Starting with Node 18 the runtime contains the AWS SDK v3 instead of v2
+    'nodejs18.x': ['@aws-sdk/*'],
+    'nodejs20.x': ['@aws-sdk/*'],
+    'nodejs22.x': ['@aws-sdk/*']
+  }
+};
+
+/**
+ * Get the modules that are provided by the given provider runtime.
+ * @param {string} providerName - Name of the provider (e.g. aws)
+ * @param {string} runtime - Runtime of the provider (e.g. nodejs18.x)
+ * @returns {Array<string>} - The provided module names or patterns
+ */
+function getRuntimeModules(providerName, runtime) {
+  return _.get(runtimeModules[providerName], runtime, []);
+}
+
+/**
+ * Check if a module name matches one of the given module names or patterns.
+ */
+function matchesModule(moduleName, patterns) {
+  return _.some(patterns, pattern => {
+    return _.endsWith(pattern, '/*') ? _.startsWith(moduleName, _.trimEnd(pattern, '*')) : moduleName === pattern;
+  });
+}
+
+module.exports = {
+  getRuntimeModules,
+  matchesModule
+};
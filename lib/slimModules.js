@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Removal of files from packaged modules that are not needed at runtime,
+ * like documentation, tests, TypeScript declarations and source maps.
+ *
+ * The patterns are matched case-insensitively within each module directory.
+ * Files that a module names as its `main` or in its `files` are never removed.
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const fse = require('fs-extra');
+const globby = require('globby');
+
+const nodeModules = require('./nodeModules');
+
+const defaultPatterns = [
+  '**/README*',
+  '**/CHANGELOG*',
+  '**/CHANGES*',
+  '**/HISTORY*',
+  '**/*.md',
+  '**/*.markdown',
+  '**/*.d.ts',
+  '**/*.map',
+  '**/test/**',
+  '**/tests/**',
+  '**/__tests__/**',
+  '**/example/**',
+  '**/examples/**',
+  '**/.github/**',
+  '**/.travis.yml',
+  '**/.eslintrc*',
+  '**/.npmignore',
+  '**/.editorconfig'
+];
+
+function normalizeFile(file) {
+  return _.trimStart(path.posix.normalize(_.replace(file, /\\/g, '/')), '/');
+}
+
+/**
+ * Get the files of a module that must not be removed. These are the entry
+ * point of the module (`main` as given or resolved like Node does) and the
+ * files that are listed in `files`. Directories and globs in `files` do not
+ * protect their contents.
+ */
+function getProtectedFiles(packageJson) {
+  const main = packageJson.main && normalizeFile(packageJson.main);
+  return _.compact(_.concat(
+    'package.json',
+    main,
+    main && [ `${main}.js`, `${main}.json`, `${main}/index.js` ],
+    _.map(packageJson.files, normalizeFile)
+  ));
+}
+
+/**
+ * Remove the files that match the patterns from the given module directories.
+ * @param {string} rootDir - Directory that contains the module directories
+ * @param {Array<string>} moduleDirs - Module directories relative to rootDir
+ * @param {Array<string>} patterns - Glob patterns of the files to remove.
+ *   Patterns starting with `!` keep files.
+ * @returns {BbPromise<Object>} - The number of removed files and their size
+ *   in bytes
+ */
+function slimModules(rootDir, moduleDirs, patterns) {
+  return BbPromise.reduce(moduleDirs, (result, moduleDir) => {
+    const moduleRoot = path.join(rootDir, moduleDir);
+    const protectedFiles = getProtectedFiles(nodeModules.readPackageJson(moduleRoot) || {});
+    const files = _.difference(globby.sync(patterns, {
+      cwd: moduleRoot,
+      // Nested modules are slimmed on their own
+      ignore: ['node_modules/**'],
+      case: false,
+      dot: true,
+      nodir: true,
+      silent: true
+    }), protectedFiles);
+
+    return BbPromise.mapSeries(files, file => {
+      const filePath = path.join(moduleRoot, file);
+      return BbPromise.fromCallback(cb => fse.stat(filePath, cb))
+      .then(stats => BbPromise.fromCallback(cb => fse.remove(filePath, cb)).return(stats.size));
+    })
+    .then(sizes => ({
+      files: result.files + _.size(sizes),
+      bytes: result.bytes + _.sum(sizes)
+    }));
+  }, { files: 0, bytes: 0 });
+}
+
+module.exports = {
+  defaultPatterns,
+  slimModules
+};
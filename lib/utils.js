@@ -1,6 +1,8 @@
 'use strict';
 
+const BbPromise = require('bluebird');
 const _ = require('lodash');
+const childProcess = require('child_process');
 
 function guid() {
   function s4() {
@@ -34,8 +36,51 @@ function searchCache(moduleName, callback) {
   }
 }
 
+/**
+ * Check if the target platform (`os` and `cpu`) of the packager options
+ * differs from the platform of the build host.
+ */
+function isCrossPlatform(options) {
+  return !!options.cpu && (options.os !== process.platform || options.cpu !== process.arch);
+}
+
+/**
+ * Run a command and resolve with its output. A failed command rejects with
+ * an error that carries the stdout and stderr of the command.
+ * @param {Object} options - The packager options with the maxBuffer size
+ */
+function exec(command, cwd, options) {
+  return BbPromise.fromCallback(cb => {
+    childProcess.exec(command, {
+      cwd,
+      maxBuffer: options.maxBuffer,
+      encoding: 'utf8'
+    }, (err, stdout, stderr) => err ? cb(_.assign(err, { stdout, stderr })) : cb(null, stdout));
+  });
+}
+
+/**
+ * Split a module reference with version (e.g. `@scoped/module@1.0.0`) into
+ * the module name and the version.
+ */
+function splitModuleVersion(moduleReference) {
+  const splitModule = _.split(moduleReference, '@');
+  // If we have a scoped module we have to re-add the @
+  if (_.startsWith(moduleReference, '@')) {
+    splitModule.splice(0, 1);
+    splitModule[0] = '@' + splitModule[0];
+  }
+  return {
+    name: _.first(splitModule),
+    version: _.join(_.tail(splitModule), '@')
+  };
+}
+
 module.exports = {
   guid,
   purgeCache,
   searchCache,
+  isCrossPlatform,
+  exec,
+  splitModuleVersion,
 };
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Detection of npm and yarn workspaces.
+ *
+ * In a workspace the modules of all packages are hoisted to the node_modules
+ * folder of the workspace root, and the sibling packages of the workspace are
+ * linked there. So installed modules have to be resolved up to the workspace
+ * root, and sibling packages are packed like local modules.
+ */
+
+const _ = require('lodash');
+const path = require('path');
+const globby = require('globby');
+
+const nodeModules = require('./nodeModules');
+
+/**
+ * Get the workspace package patterns of a package.json. The patterns are
+ * either given as array or in the `packages` property (yarn).
+ */
+function getWorkspacePatterns(packageJson) {
+  const workspaces = _.get(packageJson, 'workspaces');
+  return _.isArray(workspaces) ? workspaces : _.get(workspaces, 'packages', []);
+}
+
+/**
+ * Find the package directories of a workspace by their package names.
+ */
+function findPackages(rootDir, patterns) {
+  const packageJsonPatterns = _.map(patterns, pattern => `${_.trimEnd(pattern, '/')}/package.json`);
+  const packageJsonFiles = globby.sync(_.concat(packageJsonPatterns, '!**/node_modules/**'), {
+    cwd: rootDir,
+    silent: true
+  });
+
+  return _.reduce(packageJsonFiles, (packages, packageJsonFile) => {
+    const packageDir = path.join(rootDir, path.dirname(packageJsonFile));
+    const packageJson = nodeModules.readPackageJson(packageDir);
+    if (_.get(packageJson, 'name')) {
+      packages[packageJson.name] = packageDir;
+    }
+    return packages;
+  }, {});
+}
+
+/**
+ * Find the workspace that contains the given package. The directories
+ * from the package root up to the file system root are searched for a
+ * package.json with workspaces, that include the package.
+ * @param {string} packageRoot - Directory of the service's package.json
+ * @returns {Object|null} - The workspace root directory and the package
+ *   directories of the workspace by their names, or null if the package is
+ *   not part of a workspace
+ */
+function findWorkspace(packageRoot) {
+  let dir = path.resolve(packageRoot);
+  for (;;) {
+    const patterns = getWorkspacePatterns(nodeModules.readPackageJson(dir));
+    if (!_.isEmpty(patterns)) {
+      const packages = findPackages(dir, patterns);
+      if (dir === path.resolve(packageRoot) || _.includes(packages, path.resolve(packageRoot))) {
+        return {
+          root: dir,
+          packages
+        };
+      }
+    }
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      return null;
+    }
+    dir = parentDir;
+  }
+}
+
+module.exports = {
+  findWorkspace
+};
@@ -5,8 +5,23 @@ describe('serverless-webpack', () => {
   require('./compile.test');
   require('./packageModules.test');
   require('./packExternalModules.test');
+  require('./dependencyCache.test');
+  require('./nodeModules.test');
+  require('./localModules.test');
+  require('./workspaces.test');
+  require('./runtimeModules.test');
+  require('./dynamicRequires.test');
+  require('./layers.test');
+  require('./nativeAddons.test');
+  require('./slimModules.test');
+  require('./packagerConfig.test');
   require('./run.test');
   require('./cleanup.test');
   require('./wpwatch.test');
   require('./runPluginSupport.test');
+  require('./packagers/index.test');
+  require('./packagers/npm.test');
+  require('./packagers/offline.test');
+  require('./packagers/pnpm.test');
+  require('./packagers/yarn.test');
 });
@@ -77,6 +77,35 @@ describe('compile', () => {
     return expect(module.compile()).to.be.rejectedWith(/compilation error/);
   });
 
+  it('should collect the dynamic requires of each compile', () => {
+    const handlerModule = {
+      resource: '/my/Service/Path/handler.js',
+      dependencies: [
+        { critical: 'the request of a dependency is an expression', options: { request: '.', regExp: /^knex\-dialect\-.*$/ } }
+      ]
+    };
+    const mockStats = {
+      compilation: {
+        errors: [],
+        warnings: [
+          { message: 'Critical dependency: the request of a dependency is an expression', module: handlerModule }
+        ],
+        compiler: {
+          outputPath: 'statsMock-outputPath'
+        }
+      },
+      toString: sandbox.stub().returns('testStats')
+    };
+    _.set(serverless, 'config.servicePath', '/my/Service/Path');
+    module.webpackConfig = 'testconfig';
+    webpackMock.compilerMock.run.reset();
+    webpackMock.compilerMock.run.yields(null, mockStats);
+    return expect(module.compile()).to.be.fulfilled
+    .then(() => expect(module.dynamicRequires).to.deep.equal([
+      [{ issuer: 'handler.js', request: 'knex-dialect-' }]
+    ]));
+  });
+
   it('should work with multi compile', () => {
     const testWebpackConfig = 'testconfig';
     const multiStats = [{
@@ -0,0 +1,111 @@
+'use strict';
+
+const BbPromise = require('bluebird');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const fsExtraMockFactory = require('./mocks/fs-extra.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('dependencyCache', () => {
+  let sandbox;
+  let dependencyCache;
+
+  // Mocks
+  let fsExtraMock;
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('fs-extra', fsExtraMock);
+    dependencyCache = require('../lib/dependencyCache');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  beforeEach(() => {
+    fsExtraMock.copy.yields();
+    fsExtraMock.move.yields();
+    fsExtraMock.remove.yields();
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  describe('getCacheKey()', () => {
+    it('should return the same key for the same contents', () => {
+      expect(dependencyCache.getCacheKey([ 'a', null, 'b' ])).to.equal(dependencyCache.getCacheKey([ 'a', null, 'b' ]));
+    });
+
+    it('should return different keys for different contents', () => {
+      expect(dependencyCache.getCacheKey([ 'a', 'b' ])).to.not.equal(dependencyCache.getCacheKey([ 'a', 'c' ]));
+      expect(dependencyCache.getCacheKey([ 'ab', '' ])).to.not.equal(dependencyCache.getCacheKey([ 'a', 'b' ]));
+    });
+  });
+
+  describe('restore()', () => {
+    it('should resolve with false if there is no entry', () => {
+      fsExtraMock.pathExists.yields(null, false);
+      return expect(dependencyCache.restore('cacheDir', 'key', 'targetDir', [ 'node_modules' ])).to.become(false)
+      .then(() => expect(fsExtraMock.copy).to.not.have.been.called);
+    });
+
+    it('should copy the existing files of the entry', () => {
+      fsExtraMock.pathExists.yields(null, true);
+      fsExtraMock.pathExists.withArgs(path.join('cacheDir', 'key', 'package-lock.json')).yields(null, false);
+      return expect(dependencyCache.restore('cacheDir', 'key', 'targetDir', [ 'node_modules', 'package-lock.json' ])).to.become(true)
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.copy).to.have.been.calledOnce,
+        expect(fsExtraMock.copy).to.have.been.calledWith(
+          path.join('cacheDir', 'key', 'node_modules'),
+          path.join('targetDir', 'node_modules')
+        )
+      ]));
+    });
+  });
+
+  describe('save()', () => {
+    it('should assemble the entry in a temporary directory', () => {
+      const tempDir = `${path.join('cacheDir', 'key')}.${process.pid}.tmp`;
+      fsExtraMock.pathExists.yields(null, true);
+      return expect(dependencyCache.save('cacheDir', 'key', 'sourceDir', [ 'node_modules', 'yarn.lock' ])).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.copy).to.have.been.calledTwice,
+        expect(fsExtraMock.copy.firstCall).to.have.been.calledWith(
+          path.join('sourceDir', 'node_modules'),
+          path.join(tempDir, 'node_modules')
+        ),
+        expect(fsExtraMock.copy.secondCall).to.have.been.calledWith(
+          path.join('sourceDir', 'yarn.lock'),
+          path.join(tempDir, 'yarn.lock')
+        ),
+        expect(fsExtraMock.move).to.have.been.calledOnce,
+        expect(fsExtraMock.move).to.have.been.calledWith(tempDir, path.join('cacheDir', 'key')),
+        expect(fsExtraMock.remove).to.not.have.been.called
+      ]));
+    });
+
+    it('should remove the temporary directory on errors', () => {
+      const tempDir = `${path.join('cacheDir', 'key')}.${process.pid}.tmp`;
+      fsExtraMock.pathExists.yields(null, true);
+      fsExtraMock.move.yields(new Error('dest already exists.'));
+      return expect(dependencyCache.save('cacheDir', 'key', 'sourceDir', [ 'node_modules' ])).to.be.rejectedWith('dest already exists.')
+      .then(() => expect(fsExtraMock.remove).to.have.been.calledWith(tempDir));
+    });
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const path = require('path');
+const chai = require('chai');
+
+const dynamicRequires = require('../lib/dynamicRequires');
+
+const expect = chai.expect;
+
+describe('dynamicRequires', () => {
+  const servicePath = path.join('/my', 'Service', 'Path');
+
+  describe('getDynamicRequires()', () => {
+    const handlerModule = {
+      resource: path.join(servicePath, 'handler.js'),
+      dependencies: [
+        { request: './lib' },
+        { critical: 'the request of a dependency is an expression', options: { request: '.', regExp: /^knex-dialect-.*$/ } },
+        { critical: 'the request of a dependency is an expression', options: { request: '@aws-sdk', regExp: /^\.\/client\-.*$/ } },
+        { critical: 'the request of a dependency is an expression', request: '.', regExp: /^\.\/plugins\/.*$/ }
+      ]
+    };
+    const vendorModule = {
+      resource: path.join(servicePath, 'node_modules', 'vendor', 'index.js'),
+      dependencies: []
+    };
+
+    it('should collect the static requests of the critical dependencies', () => {
+      const compilation = {
+        warnings: [
+          { message: 'Critical dependency: the request of a dependency is an expression', module: handlerModule },
+          { message: 'Critical dependency: the request of a dependency is an expression', module: handlerModule },
+          { message: 'Critical dependency: require function is used in a way in which dependencies cannot be statically extracted', origin: vendorModule },
+          { message: 'Module not found', module: handlerModule }
+        ]
+      };
+      expect(dynamicRequires.getDynamicRequires(compilation, servicePath)).to.deep.equal([
+        { issuer: 'handler.js', request: 'knex-dialect-' },
+        { issuer: 'handler.js', request: '@aws-sdk/client-' },
+        { issuer: 'handler.js', request: './plugins/' },
+        { issuer: path.join('node_modules', 'vendor', 'index.js'), request: null }
+      ]);
+    });
+
+    it('should return an empty list without critical dependencies', () => {
+      expect(dynamicRequires.getDynamicRequires({ warnings: [] }, servicePath)).to.be.empty;
+      expect(dynamicRequires.getDynamicRequires({}, servicePath)).to.be.empty;
+    });
+  });
+
+  describe('matchDependencies()', () => {
+    const dependencies = [ 'knex', 'knex-dialect-pg', 'knex-dialect-mysql', 'lodash', '@aws-sdk/client-s3', '@scoped/vendor' ];
+
+    it('should match the dependencies that start with bare requests', () => {
+      expect(dynamicRequires.matchDependencies({ issuer: 'handler.js', request: 'knex-dialect-' }, dependencies))
+      .to.deep.equal([ 'knex-dialect-pg', 'knex-dialect-mysql' ]);
+      expect(dynamicRequires.matchDependencies({ issuer: 'handler.js', request: '@aws-sdk/client-' }, dependencies))
+      .to.deep.equal(['@aws-sdk/client-s3']);
+    });
+
+    it('should match the module that a bare request points into', () => {
+      expect(dynamicRequires.matchDependencies({ issuer: 'handler.js', request: 'lodash/' }, dependencies)).to.deep.equal(['lodash']);
+    });
+
+    it('should match the installed module of the issuer for other requests', () => {
+      expect(dynamicRequires.matchDependencies({ issuer: 'node_modules/@scoped/vendor/lib/load.js', request: './plugins/' }, dependencies))
+      .to.deep.equal(['@scoped/vendor']);
+      expect(dynamicRequires.matchDependencies({ issuer: 'node_modules/other/index.js', request: null }, dependencies)).to.be.empty;
+      expect(dynamicRequires.matchDependencies({ issuer: 'handler.js', request: '' }, dependencies)).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const fsExtraMockFactory = require('./mocks/fs-extra.mock');
+const globbyMockFactory = require('./mocks/globby.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('layers', () => {
+  let sandbox;
+  let layers;
+
+  // Mocks
+  let fsExtraMock;
+  let globbyMock;
+
+  const layerPath = path.join('/my', 'Service', 'layers', 'common');
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+    globbyMock = globbyMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('fs-extra', fsExtraMock);
+    mockery.registerMock('globby', globbyMock);
+    layers = require('../lib/layers');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  describe('readLayerModules()', () => {
+    it('should read the dependencies of a layer package.json', () => {
+      fsExtraMock.readJsonSync.returns({ name: 'common', dependencies: { uuid: '^5.0.0' } });
+      expect(layers.readLayerModules(path.join(layerPath, 'package.json'))).to.deep.equal({ uuid: '^5.0.0' });
+      expect(fsExtraMock.readJsonSync).to.have.been.calledWith(path.join(layerPath, 'package.json'));
+    });
+
+    it('should return null if the layer package.json cannot be read', () => {
+      fsExtraMock.readJsonSync.returns(null);
+      expect(layers.readLayerModules(path.join(layerPath, 'package.json'))).to.be.null;
+    });
+
+    it('should read the installed modules of a layer directory', () => {
+      const installedPackages = {
+        'nodejs/node_modules/uuid': { name: 'uuid', version: '5.4.1' },
+        'nodejs/node_modules/@scoped/vendor': { name: '@scoped/vendor', version: '1.0.0' }
+      };
+      fsExtraMock.pathExistsSync.returns(true);
+      globbyMock.sync.returns(_.map(_.keys(installedPackages), packageDir => `${packageDir}/package.json`));
+      fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+        const packageDir = _.replace(path.relative(layerPath, path.dirname(packageJsonPath)), /\\/g, '/');
+        return _.get(installedPackages, [packageDir], null);
+      });
+      expect(layers.readLayerModules(layerPath)).to.deep.equal({
+        uuid: '5.4.1',
+        '@scoped/vendor': '1.0.0'
+      });
+      expect(globbyMock.sync).to.have.been.calledWith(
+        sinon.match.array.contains([ 'nodejs/node_modules/*/package.json', 'node_modules/@*/*/package.json' ]),
+        sinon.match({ cwd: layerPath })
+      );
+    });
+
+    it('should only read the module folders that exist', () => {
+      fsExtraMock.pathExistsSync.withArgs(path.join(layerPath, 'node_modules')).returns(true);
+      globbyMock.sync.returns([]);
+      layers.readLayerModules(layerPath);
+      expect(globbyMock.sync).to.have.been.calledWith([ 'node_modules/*/package.json', 'node_modules/@*/*/package.json' ]);
+    });
+
+    it('should return null if the layer directory contains no modules', () => {
+      fsExtraMock.pathExistsSync.returns(true);
+      globbyMock.sync.returns([]);
+      expect(layers.readLayerModules(layerPath)).to.be.null;
+    });
+
+    it('should return null if the layer directory does not exist', () => {
+      fsExtraMock.pathExistsSync.returns(false);
+      expect(layers.readLayerModules(layerPath)).to.be.null;
+      expect(globbyMock.sync).to.not.have.been.called;
+    });
+  });
+
+  describe('findLayer()', () => {
+    const layerNames = [ 'common-utils', 'arn:aws:lambda:us-east-1:123456789012:layer:vendor:3' ];
+
+    it('should find layers by their ARN', () => {
+      expect(layers.findLayer(layerNames, 'arn:aws:lambda:us-east-1:123456789012:layer:vendor:3'))
+      .to.equal('arn:aws:lambda:us-east-1:123456789012:layer:vendor:3');
+      expect(layers.findLayer(layerNames, 'arn:aws:lambda:us-east-1:123456789012:layer:vendor:4')).to.be.undefined;
+    });
+
+    it('should find layers of the service by their logical id', () => {
+      expect(layers.findLayer(layerNames, { Ref: 'CommonDashutilsLambdaLayer' })).to.equal('common-utils');
+      expect(layers.findLayer(layerNames, { Ref: 'OtherLambdaLayer' })).to.be.undefined;
+    });
+
+    it('should find layers that are configured by their logical id', () => {
+      expect(layers.findLayer(['CommonLambdaLayer'], { Ref: 'CommonLambdaLayer' })).to.equal('CommonLambdaLayer');
+    });
+  });
+
+  describe('satisfies()', () => {
+    it('should check the layer version against the version range of the service', () => {
+      expect(layers.satisfies('5.4.1', '^5.0.0')).to.be.true;
+      expect(layers.satisfies('^5.1.0', '^5.0.0')).to.be.true;
+      expect(layers.satisfies('4.0.0', '^5.0.0')).to.be.false;
+    });
+
+    it('should accept versions that are not semver', () => {
+      expect(layers.satisfies('4.0.0', 'file:../vendor')).to.be.true;
+      expect(layers.satisfies('github:user/repo', '^5.0.0')).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,242 @@
+'use strict';
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const childProcessMockFactory = require('./mocks/child_process.mock');
+const fsExtraMockFactory = require('./mocks/fs-extra.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('localModules', () => {
+  let sandbox;
+  let localModules;
+
+  // Mocks
+  let childProcessMock;
+  let fsExtraMock;
+
+  const rootDir = path.join('/my', 'Service', 'Path');
+  const targetDir = path.join(rootDir, '.webpack', 'dependencies', 'local');
+  // sha512 of an empty file
+  const emptyIntegrity = 'sha512-z4PhNX7vuL3xVChQ1m2AB9Yg5AULVxXcg/SpIdNs6c5H0NE8XYXysP+DGNKHfuwvY7kxvUdBeoGlODJ6+SfaPg==';
+  const localPackages = {
+    'packages/utils': {
+      name: 'utils',
+      version: '1.0.0',
+      dependencies: {
+        bluebird: '^3.5.0'
+      }
+    },
+    'packages/core': {
+      name: '@service/core',
+      version: '2.0.0',
+      dependencies: {
+        utils: 'file:../utils'
+      }
+    },
+    'packages/api': {
+      name: 'api',
+      version: '1.0.0',
+      dependencies: {
+        '@service/core': 'workspace:*'
+      }
+    },
+    'packages/cycle-a': {
+      name: 'cycle-a',
+      version: '1.0.0',
+      dependencies: {
+        'cycle-b': 'file:../cycle-b'
+      }
+    },
+    'packages/cycle-b': {
+      name: 'cycle-b',
+      version: '1.0.0',
+      dependencies: {
+        'cycle-a': 'file:../cycle-a'
+      }
+    }
+  };
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    childProcessMock = childProcessMockFactory.create(sandbox);
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('child_process', childProcessMock);
+    mockery.registerMock('fs-extra', fsExtraMock);
+    localModules = require('../lib/localModules');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  beforeEach(() => {
+    fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+      const packageDir = path.relative(rootDir, path.dirname(packageJsonPath));
+      return _.get(localPackages, _.replace(packageDir, /\\/g, '/'), null);
+    });
+    fsExtraMock.readFile.yields(null, '');
+    fsExtraMock.writeFile.yields();
+    fsExtraMock.mkdirs.yields();
+    fsExtraMock.copy.yields();
+    fsExtraMock.remove.yields();
+    // npm pack prints the tarball name of the packed directory
+    childProcessMock.exec.callsFake((command, options, cb) => {
+      const moduleDir = /"(.*)"$/.exec(command)[1];
+      cb(null, `npm notice\n${path.basename(moduleDir)}-1.0.0.tgz\n`);
+    });
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  describe('isLocalReference()', () => {
+    it('should detect file references', () => {
+      expect(localModules.isLocalReference('file:../utils')).to.be.true;
+      expect(localModules.isLocalReference('^1.0.0')).to.be.false;
+      expect(localModules.isLocalReference(undefined)).to.be.false;
+    });
+  });
+
+  describe('resolveReference()', () => {
+    it('should resolve file and link references and plain paths', () => {
+      expect(localModules.resolveReference('file:../utils', rootDir)).to.equal(path.join('/my', 'Service', 'utils'));
+      expect(localModules.resolveReference('link:packages/utils', rootDir)).to.equal(path.join(rootDir, 'packages', 'utils'));
+      expect(localModules.resolveReference('packages/utils', rootDir)).to.equal(path.join(rootDir, 'packages', 'utils'));
+    });
+
+    it('should accept Windows-style separators', () => {
+      expect(localModules.resolveReference('file:..\\Path\\packages\\utils', rootDir)).to.equal(path.join(rootDir, 'packages', 'utils'));
+    });
+  });
+
+  describe('packLocalModules()', () => {
+    it('should pack local directories with npm pack', () => {
+      const utilsPath = path.join(rootDir, 'packages', 'utils');
+      return expect(localModules.packLocalModules([utilsPath], targetDir, { maxBuffer: 1024, ignoreScripts: true })).to.become({
+        [utilsPath]: {
+          tarball: 'utils-1.0.0.tgz',
+          integrity: emptyIntegrity,
+          packageJson: localPackages['packages/utils']
+        }
+      })
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.mkdirs).to.have.been.calledWith(targetDir),
+        expect(childProcessMock.exec).to.have.been.calledOnce,
+        expect(childProcessMock.exec).to.have.been.calledWith(
+          `npm pack --ignore-scripts "${utilsPath}"`,
+          sinon.match({ cwd: targetDir, maxBuffer: 1024 })
+        ),
+        expect(fsExtraMock.readFile).to.have.been.calledWith(path.join(targetDir, 'utils-1.0.0.tgz')),
+        expect(fsExtraMock.remove).to.have.been.calledWith(path.join(targetDir, '.staging'))
+      ]));
+    });
+
+    it('should copy local tarballs', () => {
+      const tarballPath = path.join(rootDir, 'vendor', 'lib-1.2.3.tgz');
+      return expect(localModules.packLocalModules([tarballPath], targetDir, {})).to.become({
+        [tarballPath]: {
+          tarball: 'lib-1.2.3.tgz',
+          integrity: emptyIntegrity,
+          packageJson: {}
+        }
+      })
+      .then(() => BbPromise.all([
+        expect(childProcessMock.exec).to.not.have.been.called,
+        expect(fsExtraMock.copy).to.have.been.calledWith(tarballPath, path.join(targetDir, 'lib-1.2.3.tgz'))
+      ]));
+    });
+
+    it('should reference the tarballs of nested local modules', () => {
+      const corePath = path.join(rootDir, 'packages', 'core');
+      const utilsPath = path.join(rootDir, 'packages', 'utils');
+      const stagingDir = path.join(targetDir, '.staging', '@service-core');
+      const stagedPackageJson = {
+        name: '@service/core',
+        version: '2.0.0',
+        dependencies: {
+          // Relative to the tarball of the module
+          utils: 'file:utils-1.0.0.tgz'
+        }
+      };
+      return expect(localModules.packLocalModules([corePath], targetDir, {})).to.be.fulfilled
+      .then(packedModules => BbPromise.all([
+        expect(_.keys(packedModules)).to.have.members([ corePath, utilsPath ]),
+        expect(packedModules[corePath]).to.have.property('tarball', '@service-core-1.0.0.tgz'),
+        expect(packedModules[corePath]).to.have.deep.property('packageJson', stagedPackageJson),
+        // The module is packed from a copy that references the packed dependency
+        expect(fsExtraMock.copy).to.have.been.calledWith(corePath, stagingDir, sinon.match({ dereference: true })),
+        expect(fsExtraMock.writeFile).to.have.been.calledWith(
+          path.join(stagingDir, 'package.json'),
+          JSON.stringify(stagedPackageJson, null, 2)
+        ),
+        expect(childProcessMock.exec.firstCall).to.have.been.calledWith(`npm pack "${utilsPath}"`),
+        expect(childProcessMock.exec.secondCall).to.have.been.calledWith(`npm pack "${stagingDir}"`)
+      ]));
+    });
+
+    it('should not copy the installed modules of nested local modules', () => {
+      const corePath = path.join(rootDir, 'packages', 'core');
+      return expect(localModules.packLocalModules([corePath], targetDir, {})).to.be.fulfilled
+      .then(() => {
+        const filter = fsExtraMock.copy.firstCall.args[2].filter;
+        return BbPromise.all([
+          expect(filter(path.join(corePath, 'index.js'))).to.be.true,
+          expect(filter(path.join(corePath, 'node_modules', 'bluebird'))).to.be.false
+        ]);
+      });
+    });
+
+    it('should pack the given local packages regardless of their version specifier', () => {
+      const apiPath = path.join(rootDir, 'packages', 'api');
+      const localPackages = {
+        '@service/core': path.join(rootDir, 'packages', 'core'),
+        utils: path.join(rootDir, 'packages', 'utils')
+      };
+      return expect(localModules.packLocalModules([apiPath], targetDir, {}, localPackages)).to.be.fulfilled
+      .then(packedModules => BbPromise.all([
+        expect(_.keys(packedModules)).to.have.members(_.concat(apiPath, _.values(localPackages))),
+        expect(packedModules[apiPath]).to.have.deep.nested.property(
+          'packageJson.dependencies.@service/core',
+          'file:@service-core-1.0.0.tgz'
+        )
+      ]));
+    });
+
+    it('should reference the tarballs of nested local modules relative to the reference directory', () => {
+      const corePath = path.join(rootDir, 'packages', 'core');
+      const referenceDir = path.dirname(targetDir);
+      return expect(localModules.packLocalModules([corePath], targetDir, { referenceDir })).to.be.fulfilled
+      .then(packedModules => expect(packedModules[corePath]).to.have.deep.nested.property(
+        'packageJson.dependencies.utils',
+        'file:local/utils-1.0.0.tgz'
+      ));
+    });
+
+    it('should reject cyclic local modules', () => {
+      const cyclePath = path.join(rootDir, 'packages', 'cycle-a');
+      return expect(localModules.packLocalModules([cyclePath], targetDir, {})).to.be.rejectedWith('Cyclic local module reference');
+    });
+
+    it('should reject if the package.json of a local module cannot be read', () => {
+      const missingPath = path.join(rootDir, 'packages', 'missing');
+      return expect(localModules.packLocalModules([missingPath], targetDir, {}))
+      .to.be.rejectedWith(`Could not read local module ${path.join(missingPath, 'package.json')}`);
+    });
+  });
+});
@@ -7,8 +7,18 @@
 module.exports.create = sandbox => {
   const fsExtraMock = {
     copy: sandbox.stub().yields(),
+    link: sandbox.stub().yields(),
+    mkdirs: sandbox.stub().yields(),
+    move: sandbox.stub().yields(),
     pathExists: sandbox.stub().yields(),
-    removeSync: sandbox.stub()
+    pathExistsSync: sandbox.stub(),
+    readdir: sandbox.stub().yields(null, []),
+    readFile: sandbox.stub().yields(null, ''),
+    readJsonSync: sandbox.stub(),
+    remove: sandbox.stub().yields(),
+    removeSync: sandbox.stub(),
+    stat: sandbox.stub().yields(),
+    writeFile: sandbox.stub().yields()
   };
 
   return fsExtraMock;
@@ -0,0 +1,155 @@
+'use strict';
+
+const BbPromise = require('bluebird');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const fsExtraMockFactory = require('./mocks/fs-extra.mock');
+const globbyMockFactory = require('./mocks/globby.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+/**
+ * Create the start of an ELF binary for the given machine.
+ */
+function elfBinary(machine, bigEndian) {
+  const buffer = Buffer.alloc(64);
+  buffer.writeUInt32BE(0x7f454c46, 0);
+  buffer[5] = bigEndian ? 2 : 1;
+  if (bigEndian) {
+    buffer.writeUInt16BE(machine, 18);
+  } else {
+    buffer.writeUInt16LE(machine, 18);
+  }
+  return buffer;
+}
+
+/**
+ * Create the start of a little endian 64 bit Mach-O binary for the given CPU type.
+ */
+function machOBinary(cpuType) {
+  const buffer = Buffer.alloc(64);
+  buffer.writeUInt32LE(0xfeedfacf, 0);
+  buffer.writeUInt32LE(cpuType, 4);
+  return buffer;
+}
+
+describe('nativeAddons', () => {
+  let sandbox;
+  let nativeAddons;
+
+  // Mocks
+  let fsExtraMock;
+  let globbyMock;
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+    globbyMock = globbyMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('fs-extra', fsExtraMock);
+    mockery.registerMock('globby', globbyMock);
+    nativeAddons = require('../lib/nativeAddons');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  describe('readBinaryPlatform()', () => {
+    it('should read ELF binaries', () => {
+      expect(nativeAddons.readBinaryPlatform(elfBinary(62))).to.deep.equal({ platform: 'linux', archs: ['x64'] });
+      expect(nativeAddons.readBinaryPlatform(elfBinary(183))).to.deep.equal({ platform: 'linux', archs: ['arm64'] });
+      expect(nativeAddons.readBinaryPlatform(elfBinary(40, true))).to.deep.equal({ platform: 'linux', archs: ['arm'] });
+      expect(nativeAddons.readBinaryPlatform(elfBinary(8))).to.deep.equal({ platform: 'linux', archs: [] });
+    });
+
+    it('should read Mach-O binaries', () => {
+      expect(nativeAddons.readBinaryPlatform(machOBinary(0x100000c))).to.deep.equal({ platform: 'darwin', archs: ['arm64'] });
+      const bigEndian = Buffer.alloc(64);
+      bigEndian.writeUInt32BE(0xfeedface, 0);
+      bigEndian.writeUInt32BE(7, 4);
+      expect(nativeAddons.readBinaryPlatform(bigEndian)).to.deep.equal({ platform: 'darwin', archs: ['ia32'] });
+    });
+
+    it('should read universal Mach-O binaries', () => {
+      const buffer = Buffer.alloc(64);
+      buffer.writeUInt32BE(0xcafebabe, 0);
+      buffer.writeUInt32BE(2, 4);
+      buffer.writeUInt32BE(0x1000007, 8);
+      buffer.writeUInt32BE(0x100000c, 28);
+      expect(nativeAddons.readBinaryPlatform(buffer)).to.deep.equal({ platform: 'darwin', archs: [ 'x64', 'arm64' ] });
+    });
+
+    it('should read PE binaries', () => {
+      const buffer = Buffer.alloc(128);
+      buffer.write('MZ', 0, 'binary');
+      buffer.writeUInt32LE(0x40, 0x3c);
+      buffer.write('PE\0\0', 0x40, 'binary');
+      buffer.writeUInt16LE(0x8664, 0x44);
+      expect(nativeAddons.readBinaryPlatform(buffer)).to.deep.equal({ platform: 'win32', archs: ['x64'] });
+    });
+
+    it('should return null for unknown formats', () => {
+      const javaClass = Buffer.alloc(64);
+      javaClass.writeUInt32BE(0xcafebabe, 0);
+      javaClass.writeUInt32BE(52, 4);
+      const dosExecutable = Buffer.alloc(64);
+      dosExecutable.write('MZ', 0, 'binary');
+      expect(nativeAddons.readBinaryPlatform(javaClass)).to.be.null;
+      expect(nativeAddons.readBinaryPlatform(dosExecutable)).to.be.null;
+      expect(nativeAddons.readBinaryPlatform(Buffer.from('module.exports = {};'))).to.be.null;
+      expect(nativeAddons.readBinaryPlatform('')).to.be.null;
+    });
+  });
+
+  describe('findNativeAddons()', () => {
+    it('should read the platforms of the native addons in node_modules', () => {
+      const modulePath = path.join('/my', 'Service', '.webpack', 'func1');
+      fsExtraMock.pathExists.yields(null, true);
+      globbyMock.sync.returns([ 'node_modules/bcrypt/lib/binding/bcrypt_lib.node', 'node_modules/other/data.node' ]);
+      fsExtraMock.readFile.withArgs(path.join(modulePath, 'node_modules/bcrypt/lib/binding/bcrypt_lib.node')).yields(null, machOBinary(0x100000c));
+      fsExtraMock.readFile.withArgs(path.join(modulePath, 'node_modules/other/data.node')).yields(null, Buffer.from('no binary'));
+      return expect(nativeAddons.findNativeAddons(modulePath)).to.eventually.deep.equal([
+        { file: 'node_modules/bcrypt/lib/binding/bcrypt_lib.node', platform: 'darwin', archs: ['arm64'] }
+      ])
+      .then(() => expect(globbyMock.sync).to.have.been.calledWith(['node_modules/**/*.node'], sinon.match({ cwd: modulePath })));
+    });
+
+    it('should return no addons for a function without node_modules folder', () => {
+      const modulePath = path.join('/my', 'Service', '.webpack', 'func1');
+      fsExtraMock.pathExists.yields(null, false);
+      return expect(nativeAddons.findNativeAddons(modulePath)).to.eventually.deep.equal([])
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.pathExists).to.have.been.calledWith(path.join(modulePath, 'node_modules')),
+        expect(globbyMock.sync).to.not.have.been.called
+      ]));
+    });
+  });
+
+  describe('isCompatible()', () => {
+    it('should check the platform and the architecture', () => {
+      expect(nativeAddons.isCompatible({ platform: 'linux', archs: ['x64'] }, 'linux', 'x64')).to.be.true;
+      expect(nativeAddons.isCompatible({ platform: 'linux', archs: ['x64'] }, 'linux', 'arm64')).to.be.false;
+      expect(nativeAddons.isCompatible({ platform: 'darwin', archs: [ 'x64', 'arm64' ] }, 'linux', 'x64')).to.be.false;
+    });
+
+    it('should only check the platform if the architecture is unknown', () => {
+      expect(nativeAddons.isCompatible({ platform: 'linux', archs: [] }, 'linux', 'arm64')).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,315 @@
+'use strict';
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const fsExtraMockFactory = require('./mocks/fs-extra.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('nodeModules', () => {
+  let sandbox;
+  let nodeModules;
+
+  // Mocks
+  let fsExtraMock;
+
+  const rootDir = path.join('/my', 'Service', 'Path');
+  const installedPackages = {
+    'node_modules/bluebird': {
+      name: 'bluebird',
+      version: '3.5.1'
+    },
+    'node_modules/request': {
+      name: 'request',
+      version: '2.83.0',
+      dependencies: {
+        bluebird: '^3.5.0',
+        uuid: '^3.1.0',
+      },
+      optionalDependencies: {
+        fsevents: '^1.0.0'
+      }
+    },
+    'node_modules/request/node_modules/uuid': {
+      name: 'uuid',
+      version: '3.1.0'
+    },
+    'node_modules/@scoped/vendor': {
+      name: '@scoped/vendor',
+      version: '1.0.0',
+      dependencies: {
+        uuid: '^2.0.0'
+      }
+    },
+    'node_modules/uuid': {
+      name: 'uuid',
+      version: '2.0.3'
+    },
+    'node_modules/plugin': {
+      name: 'plugin',
+      version: '1.0.0',
+      peerDependencies: {
+        bluebird: '^3.0.0',
+        missingPeer: '^1.0.0'
+      }
+    },
+    'node_modules/bundling': {
+      name: 'bundling',
+      version: '1.0.0',
+      dependencies: {
+        inner: '1.0.0',
+        bluebird: '^3.5.0'
+      },
+      bundledDependencies: [ 'inner', 'bluebird' ]
+    },
+    'node_modules/bundling/node_modules/inner': {
+      name: 'inner',
+      version: '1.0.0',
+      dependencies: {
+        uuid: '^2.0.0'
+      }
+    },
+    'node_modules/bundler': {
+      name: 'bundler',
+      version: '1.0.0',
+      optionalDependencies: {
+        '@bundler/linux-x64': '1.0.0',
+        '@bundler/linux-arm64': '1.0.0',
+        '@bundler/darwin-arm64': '1.0.0',
+        '@bundler/non-windows': '1.0.0'
+      }
+    },
+    'node_modules/@bundler/linux-x64': {
+      name: '@bundler/linux-x64',
+      version: '1.0.0',
+      os: ['linux'],
+      cpu: ['x64']
+    },
+    'node_modules/@bundler/linux-arm64': {
+      name: '@bundler/linux-arm64',
+      version: '1.0.0',
+      os: ['linux'],
+      cpu: ['arm64']
+    },
+    'node_modules/@bundler/darwin-arm64': {
+      name: '@bundler/darwin-arm64',
+      version: '1.0.0',
+      os: ['darwin'],
+      cpu: ['arm64']
+    },
+    'node_modules/@bundler/non-windows': {
+      name: '@bundler/non-windows',
+      version: '1.0.0',
+      os: ['!win32']
+    }
+  };
+
+  // A directory tree for the link tests
+  const directories = {
+    [path.join(rootDir, 'node_modules', 'request')]: [ 'package.json', 'lib', 'node_modules' ],
+    [path.join(rootDir, 'node_modules', 'request', 'lib')]: [ 'request.js' ],
+  };
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('fs-extra', fsExtraMock);
+    nodeModules = require('../lib/nodeModules');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  beforeEach(() => {
+    fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+      const packageDir = path.relative(rootDir, path.dirname(packageJsonPath));
+      return _.get(installedPackages, _.replace(packageDir, /\\/g, '/'), null);
+    });
+    fsExtraMock.readdir.callsFake((dir, cb) => cb(null, directories[dir] || []));
+    fsExtraMock.stat.callsFake((file, cb) => cb(null, { isDirectory: _.constant(_.has(directories, file)) }));
+    fsExtraMock.mkdirs.yields();
+    fsExtraMock.link.yields();
+    fsExtraMock.copy.yields();
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  describe('resolvePackageDir()', () => {
+    it('should prefer nested modules', () => {
+      expect(nodeModules.resolvePackageDir('uuid', path.join(rootDir, 'node_modules', 'request'), rootDir))
+      .to.equal(path.join(rootDir, 'node_modules', 'request', 'node_modules', 'uuid'));
+    });
+
+    it('should resolve hoisted modules', () => {
+      expect(nodeModules.resolvePackageDir('uuid', path.join(rootDir, 'node_modules', '@scoped', 'vendor'), rootDir))
+      .to.equal(path.join(rootDir, 'node_modules', 'uuid'));
+    });
+
+    it('should resolve hoisted modules of a workspace package', () => {
+      expect(nodeModules.resolvePackageDir('uuid', path.join(rootDir, 'packages', 'service'), rootDir))
+      .to.equal(path.join(rootDir, 'node_modules', 'uuid'));
+    });
+
+    it('should return null for missing modules', () => {
+      expect(nodeModules.resolvePackageDir('missing', rootDir, rootDir)).to.be.null;
+    });
+  });
+
+  describe('getModuleClosure()', () => {
+    it('should return all needed module directories', () => {
+      expect(nodeModules.getModuleClosure({ request: '^2.83.0', '@scoped/vendor': '1.0.0' }, {}, rootDir)).to.deep.equal([
+        path.join('node_modules', 'request'),
+        path.join('node_modules', '@scoped', 'vendor'),
+        path.join('node_modules', 'bluebird'),
+        path.join('node_modules', 'request', 'node_modules', 'uuid'),
+        path.join('node_modules', 'uuid'),
+      ]);
+    });
+
+    it('should skip missing optional modules', () => {
+      expect(nodeModules.getModuleClosure({}, { bluebird: '^3.5.0', missing: '1.0.0' }, rootDir)).to.deep.equal([
+        path.join('node_modules', 'bluebird'),
+      ]);
+    });
+
+    it('should add installed peer dependencies', () => {
+      expect(nodeModules.getModuleClosure({ plugin: '^1.0.0' }, {}, rootDir)).to.deep.equal([
+        path.join('node_modules', 'plugin'),
+        path.join('node_modules', 'bluebird'),
+      ]);
+    });
+
+    it('should throw for missing modules', () => {
+      expect(() => nodeModules.getModuleClosure({ missing: '1.0.0' }, {}, rootDir)).to.throw(/Could not find module missing/);
+    });
+
+    it('should only add the optional modules that support the target platform', () => {
+      expect(nodeModules.getModuleClosure({ bundler: '^1.0.0' }, {}, rootDir, { os: 'linux', cpu: 'arm64' })).to.deep.equal([
+        path.join('node_modules', 'bundler'),
+        path.join('node_modules', '@bundler', 'linux-arm64'),
+        path.join('node_modules', '@bundler', 'non-windows'),
+      ]);
+      expect(nodeModules.getModuleClosure({}, { '@bundler/non-windows': '1.0.0' }, rootDir, { os: 'win32', cpu: 'x64' })).to.be.empty;
+    });
+
+    it('should add the optional modules of all platforms without a target platform', () => {
+      expect(nodeModules.getModuleClosure({ bundler: '^1.0.0' }, {}, rootDir)).to.have.lengthOf(5);
+    });
+
+    it('should not add the bundled dependencies of a module', () => {
+      expect(nodeModules.getModuleClosure({ bundling: '^1.0.0' }, {}, rootDir)).to.deep.equal([
+        path.join('node_modules', 'bundling'),
+        path.join('node_modules', 'bluebird'),
+      ]);
+    });
+  });
+
+  describe('getBundledDependencies()', () => {
+    it('should return the bundled dependencies', () => {
+      expect(nodeModules.getBundledDependencies({ bundledDependencies: ['inner'] })).to.deep.equal(['inner']);
+      expect(nodeModules.getBundledDependencies({ bundleDependencies: ['inner'] })).to.deep.equal(['inner']);
+    });
+
+    it('should return all dependencies if all are bundled', () => {
+      expect(nodeModules.getBundledDependencies({
+        dependencies: { inner: '1.0.0' },
+        optionalDependencies: { other: '1.0.0' },
+        bundleDependencies: true
+      })).to.deep.equal([ 'inner', 'other' ]);
+    });
+
+    it('should return an empty list without bundled dependencies', () => {
+      expect(nodeModules.getBundledDependencies({ dependencies: { inner: '1.0.0' } })).to.be.empty;
+      expect(nodeModules.getBundledDependencies({ bundleDependencies: false })).to.be.empty;
+    });
+  });
+
+  describe('copyModules()', () => {
+    const targetDir = path.join(rootDir, '.webpack', 'service');
+
+    it('should copy the module directories without nested node_modules', () => {
+      return expect(nodeModules.copyModules(rootDir, targetDir, [ path.join('node_modules', 'request') ])).to.be.fulfilled
+      .then(() => {
+        const sourceDir = path.join(rootDir, 'node_modules', 'request');
+        const filter = fsExtraMock.copy.firstCall.args[2].filter;
+        return BbPromise.all([
+          expect(fsExtraMock.copy).to.have.been.calledOnce,
+          expect(fsExtraMock.copy).to.have.been.calledWith(sourceDir, path.join(targetDir, 'node_modules', 'request'), sinon.match({ dereference: true })),
+          expect(filter(path.join(sourceDir, 'lib'))).to.be.true,
+          expect(filter(path.join(sourceDir, 'node_modules', 'uuid'))).to.be.false,
+          expect(fsExtraMock.link).to.not.have.been.called,
+        ]);
+      });
+    });
+
+    it('should copy the bundled dependencies of a module', () => {
+      return expect(nodeModules.copyModules(rootDir, targetDir, [ path.join('node_modules', 'bundling') ])).to.be.fulfilled
+      .then(() => {
+        const sourceDir = path.join(rootDir, 'node_modules', 'bundling');
+        const filter = fsExtraMock.copy.firstCall.args[2].filter;
+        return BbPromise.all([
+          expect(filter(path.join(sourceDir, 'node_modules'))).to.be.true,
+          expect(filter(path.join(sourceDir, 'node_modules', 'inner', 'index.js'))).to.be.true,
+          expect(filter(path.join(sourceDir, 'node_modules', 'uuid'))).to.be.false,
+          expect(filter(path.join(sourceDir, 'node_modules', '@scoped'))).to.be.false,
+        ]);
+      });
+    });
+
+    it('should hard-link the files of the module directories', () => {
+      return expect(nodeModules.copyModules(rootDir, targetDir, [ path.join('node_modules', 'request') ], { link: true })).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.copy).to.not.have.been.called,
+        expect(fsExtraMock.link).to.have.been.calledTwice,
+        expect(fsExtraMock.link).to.have.been.calledWith(
+          path.join(rootDir, 'node_modules', 'request', 'package.json'),
+          path.join(targetDir, 'node_modules', 'request', 'package.json')
+        ),
+        expect(fsExtraMock.link).to.have.been.calledWith(
+          path.join(rootDir, 'node_modules', 'request', 'lib', 'request.js'),
+          path.join(targetDir, 'node_modules', 'request', 'lib', 'request.js')
+        ),
+        expect(fsExtraMock.mkdirs).to.have.been.calledWith(path.join(targetDir, 'node_modules', 'request', 'lib')),
+      ]));
+    });
+
+    it('should fall back to copying across devices', () => {
+      const err = new Error('EXDEV: cross-device link not permitted');
+      err.code = 'EXDEV';
+      fsExtraMock.link.yields(err);
+      return expect(nodeModules.copyModules(rootDir, targetDir, [ path.join('node_modules', 'request') ], { link: true })).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.copy).to.have.been.calledTwice,
+        expect(fsExtraMock.copy).to.have.been.calledWith(
+          path.join(rootDir, 'node_modules', 'request', 'package.json'),
+          path.join(targetDir, 'node_modules', 'request', 'package.json')
+        ),
+      ]));
+    });
+
+    it('should reject on other link errors', () => {
+      const err = new Error('ENOSPC: no space left on device');
+      err.code = 'ENOSPC';
+      fsExtraMock.link.yields(err);
+      return expect(nodeModules.copyModules(rootDir, targetDir, [ path.join('node_modules', 'request') ], { link: true }))
+      .to.be.rejectedWith('ENOSPC');
+    });
+  });
+});
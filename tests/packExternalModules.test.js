@@ -11,6 +11,7 @@ const Serverless = require('serverless');
 // Mocks
 const childProcessMockFactory = require('./mocks/child_process.mock');
 const fsExtraMockFactory = require('./mocks/fs-extra.mock');
+const globbyMockFactory = require('./mocks/globby.mock');
 const packageMock = require('./mocks/package.mock.json');
 const packageLocalRefMock = require('./mocks/packageLocalRef.mock.json');
 
@@ -38,6 +39,7 @@ describe('packExternalModules', () => {
   // Mocks
   let childProcessMock;
   let fsExtraMock;
+  let globbyMock;
   // Serverless stubs
   let writeFileSyncStub;
   let readFileSyncStub;
@@ -48,10 +50,12 @@ describe('packExternalModules', () => {
 
     childProcessMock = childProcessMockFactory.create(sandbox);
     fsExtraMock = fsExtraMockFactory.create(sandbox);
+    globbyMock = globbyMockFactory.create(sandbox);
 
     mockery.enable({ warnOnUnregistered: false });
     mockery.registerMock('child_process', childProcessMock);
     mockery.registerMock('fs-extra', fsExtraMock);
+    mockery.registerMock('globby', globbyMock);
     mockery.registerMock(path.join(process.cwd(), 'package.json'), packageMock);
     baseModule = require('../lib/packExternalModules');
     Object.freeze(baseModule);
@@ -72,6 +76,15 @@ describe('packExternalModules', () => {
 
     writeFileSyncStub = sandbox.stub(serverless.utils, 'writeFileSync');
     readFileSyncStub = sandbox.stub(serverless.utils, 'readFileSync');
+    fsExtraMock.readFile.yields(null, '');
+    fsExtraMock.writeFile.yields();
+    fsExtraMock.remove.yields();
+    fsExtraMock.mkdirs.yields();
+    globbyMock.sync.returns([]);
+    // All modules are installed without any further dependencies
+    fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+      return _.includes(_.split(packageJsonPath, path.sep), 'node_modules') ? {} : null;
+    });
     _.set(serverless, 'service.custom.webpackIncludeModules', true);
 
     module = _.assign({
@@ -89,6 +102,12 @@ describe('packExternalModules', () => {
     childProcessMock.exec.reset();
     fsExtraMock.pathExists.reset();
     fsExtraMock.copy.reset();
+    fsExtraMock.readJsonSync.reset();
+    fsExtraMock.move.reset();
+    fsExtraMock.readFile.reset();
+    fsExtraMock.writeFile.reset();
+    fsExtraMock.remove.reset();
+    fsExtraMock.mkdirs.reset();
     sandbox.reset();
     sandbox.restore();
   });
@@ -215,6 +234,17 @@ describe('packExternalModules', () => {
       ]));
     });
 
+    it('should reject if the configured packager is unknown', () => {
+      _.set(serverless, 'service.custom.webpackIncludeModules.packager', 'unknown');
+      module.webpackOutputPath = 'outputPath';
+      module.compileStats = stats;
+      return expect(module.packExternalModules()).to.be.rejectedWith("Could not find packager 'unknown'")
+      .then(() => BbPromise.all([
+        expect(childProcessMock.exec).to.not.have.been.called,
+        expect(writeFileSyncStub).to.not.have.been.called,
+      ]));
+    });
+
     it('should install external modules', () => {
       const expectedCompositePackageJSON = {
         name: 'test-service',
@@ -240,7 +270,6 @@ describe('packExternalModules', () => {
       fsExtraMock.copy.yields();
       childProcessMock.exec.onFirstCall().yields(null, '{}', '');
       childProcessMock.exec.onSecondCall().yields(null, '', '');
-      childProcessMock.exec.onThirdCall().yields();
       module.compileStats = stats;
       return expect(module.packExternalModules()).to.be.fulfilled
       .then(() => BbPromise.all([
@@ -248,24 +277,25 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub).to.have.been.calledTwice,
         expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
         expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
-        // The modules should have been copied
-        expect(fsExtraMock.copy).to.have.been.calledOnce,
-        // npm ls and npm prune should have been called
-        expect(childProcessMock.exec).to.have.been.calledThrice,
+        // Only the modules of the function should have been copied
+        expect(fsExtraMock.copy).to.have.been.calledThrice,
+        expect(fsExtraMock.copy).to.have.been.calledWith(
+          path.join('outputPath', 'dependencies', 'node_modules', '@scoped', 'vendor'),
+          path.join('/my/Service/Path/.webpack/service', 'node_modules', '@scoped', 'vendor')
+        ),
+        // npm ls and npm install should have been called
+        expect(childProcessMock.exec).to.have.been.calledTwice,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
         ),
         expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
           'npm install'
-        ),
-        expect(childProcessMock.exec.thirdCall).to.have.been.calledWith(
-          'npm prune'
         )
       ]));
     });
 
-    it('should rebase file references', () => {
-      const expectedLocalModule = 'file:../../locals/../../mymodule';
+    it('should pack local modules and reference their tarballs', () => {
+      const tarballIntegrity = 'sha512-z4PhNX7vuL3xVChQ1m2AB9Yg5AULVxXcg/SpIdNs6c5H0NE8XYXysP+DGNKHfuwvY7kxvUdBeoGlODJ6+SfaPg==';
       const expectedCompositePackageJSON = {
         name: 'test-service',
         version: '1.0.0',
@@ -274,7 +304,7 @@ describe('packExternalModules', () => {
         dependencies: {
           '@scoped/vendor': '1.0.0',
           uuid: '^5.4.1',
-          localmodule: 'file:../../locals/../../mymodule',
+          localmodule: 'file:local/localmodule-1.0.0.tgz',
           bluebird: '^3.4.0'
         }
       };
@@ -282,7 +312,7 @@ describe('packExternalModules', () => {
         dependencies: {
           '@scoped/vendor': '1.0.0',
           uuid: '^5.4.1',
-          localmodule: expectedLocalModule,
+          localmodule: 'file:../../outputPath/dependencies/local/localmodule-1.0.0.tgz',
           bluebird: '^3.4.0'
         }
       };
@@ -293,7 +323,9 @@ describe('packExternalModules', () => {
         description: 'Packaged externals for test-service',
         private: true,
         dependencies: {
-          '@scoped/vendor': '1.0.0',
+          '@scoped/vendor': {
+            version: '1.0.0'
+          },
           uuid: {
             version: '^5.4.1'
           },
@@ -311,7 +343,9 @@ describe('packExternalModules', () => {
         description: 'Packaged externals for test-service',
         private: true,
         dependencies: {
-          '@scoped/vendor': '1.0.0',
+          '@scoped/vendor': {
+            version: '1.0.0'
+          },
           uuid: {
             version: '^5.4.1'
           },
@@ -319,7 +353,8 @@ describe('packExternalModules', () => {
             version: '^3.4.0'
           },
           localmodule: {
-            version: expectedLocalModule
+            version: 'file:local/localmodule-1.0.0.tgz',
+            integrity: tarballIntegrity
           }
         }
       };
@@ -329,9 +364,10 @@ describe('packExternalModules', () => {
       readFileSyncStub.returns(fakePackageLockJSON);
       fsExtraMock.pathExists.yields(null, true);
       fsExtraMock.copy.yields();
+      fsExtraMock.readJsonSync.withArgs(path.join('/my', 'Service', 'mymodule', 'package.json')).returns({ name: 'localmodule', version: '1.0.0' });
       childProcessMock.exec.onFirstCall().yields(null, '{}', '');
-      childProcessMock.exec.onSecondCall().yields(null, '', '');
-      childProcessMock.exec.onThirdCall().yields();
+      childProcessMock.exec.onSecondCall().yields(null, 'localmodule-1.0.0.tgz\n', '');
+      childProcessMock.exec.onThirdCall().yields(null, '', '');
       module.compileStats = statsWithFileRef;
 
       sandbox.stub(process, 'cwd').returns(path.join('/my/Service/Path'));
@@ -345,17 +381,18 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageLockJSON, null, 2)),
         expect(writeFileSyncStub.thirdCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
         // The modules should have been copied
-        expect(fsExtraMock.copy).to.have.been.calledOnce,
-        // npm ls and npm prune should have been called
+        expect(fsExtraMock.copy).to.have.been.callCount(4),
+        // npm ls, npm pack and npm ci should have been called
         expect(childProcessMock.exec).to.have.been.calledThrice,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
         ),
         expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
-          'npm install'
+          `npm pack "${path.join('/my', 'Service', 'mymodule')}"`,
+          sinon.match({ cwd: path.join('outputPath', 'dependencies', 'local') })
         ),
         expect(childProcessMock.exec.thirdCall).to.have.been.calledWith(
-          'npm prune'
+          'npm ci'
         )
       ]));
     });
@@ -386,7 +423,6 @@ describe('packExternalModules', () => {
       fsExtraMock.copy.yields();
       childProcessMock.exec.onFirstCall().yields(null, '{}', '');
       childProcessMock.exec.onSecondCall().yields(null, '', '');
-      childProcessMock.exec.onThirdCall().yields();
       module.compileStats = stats;
       return expect(module.packExternalModules()).to.be.fulfilled
       .then(() => BbPromise.all([
@@ -396,7 +432,7 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
         // The modules should have been copied
         expect(fsExtraMock.copy).to.have.not.been.called,
-        // npm ls and npm prune should have been called
+        // npm ls and npm install should have been called
         expect(childProcessMock.exec).to.have.been.calledTwice,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
@@ -413,7 +449,6 @@ describe('packExternalModules', () => {
       fsExtraMock.copy.yields();
       childProcessMock.exec.onFirstCall().yields(null, '{}', '');
       childProcessMock.exec.onSecondCall().yields(new Error('npm install failed'));
-      childProcessMock.exec.onThirdCall().yields();
       module.compileStats = stats;
       return expect(module.packExternalModules()).to.be.rejectedWith('npm install failed')
       .then(() => BbPromise.all([
@@ -422,6 +457,73 @@ describe('packExternalModules', () => {
       ]));
     });
 
+    it('should install with the configured packager options', () => {
+      _.set(serverless, 'service.custom.webpackIncludeModules.packagerOptions', {
+        ignoreScripts: true,
+        args: ['--no-audit']
+      });
+      module.webpackOutputPath = 'outputPath';
+      fsExtraMock.pathExists.yields(null, false);
+      fsExtraMock.copy.yields();
+      childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+      childProcessMock.exec.onSecondCall().yields(null, '', '');
+      module.compileStats = stats;
+      return expect(module.packExternalModules()).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(childProcessMock.exec).to.have.been.calledTwice,
+        expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
+          'npm install --ignore-scripts --no-audit',
+          {
+            cwd: path.join('outputPath', 'dependencies'),
+            encoding: 'utf8',
+            maxBuffer: 200 * 1024
+          }
+        )
+      ]));
+    });
+
+    it('should install a pruned package lock with npm ci', () => {
+      const packageLock = {
+        lockfileVersion: 1,
+        dependencies: {
+          '@scoped/vendor': {
+            version: '1.0.0'
+          },
+          bluebird: {
+            version: '3.5.1'
+          },
+          uuid: {
+            version: '5.4.1'
+          },
+          mocha: {
+            version: '4.0.1',
+            dev: true
+          }
+        }
+      };
+
+      module.webpackOutputPath = 'outputPath';
+      readFileSyncStub.returns(packageLock);
+      fsExtraMock.pathExists.yields(null, false);
+      fsExtraMock.pathExists.withArgs(sinon.match(/package-lock\.json$/)).yields(null, true);
+      fsExtraMock.copy.yields();
+      childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+      childProcessMock.exec.onSecondCall().yields(null, '', '');
+      module.compileStats = stats;
+      return expect(module.packExternalModules()).to.be.fulfilled
+      .then(() => BbPromise.all([
+        // The pruned package lock should have been stored
+        expect(writeFileSyncStub.secondCall.args[0]).to.equal(path.join('outputPath', 'dependencies', 'package-lock.json')),
+        expect(JSON.parse(writeFileSyncStub.secondCall.args[1])).to.deep.equal({
+          name: 'test-service',
+          version: '1.0.0',
+          lockfileVersion: 1,
+          dependencies: _.omit(packageLock.dependencies, 'mocha')
+        }),
+        expect(childProcessMock.exec.secondCall).to.have.been.calledWith('npm ci')
+      ]));
+    });
+
     it('should reject if npm returns a critical error', () => {
       const stderr = 'ENOENT: No such file';
       module.webpackOutputPath = 'outputPath';
@@ -435,7 +537,7 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub).to.not.have.been.called,
         // The modules should have been copied
         expect(fsExtraMock.copy).to.not.have.been.called,
-        // npm ls and npm prune should have been called
+        // npm ls and npm install should have been called
         expect(childProcessMock.exec).to.have.been.calledOnce,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
@@ -456,7 +558,7 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub).to.not.have.been.called,
         // The modules should have been copied
         expect(fsExtraMock.copy).to.not.have.been.called,
-        // npm ls and npm prune should have been called
+        // npm ls and npm install should have been called
         expect(childProcessMock.exec).to.have.been.calledOnce,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
@@ -510,7 +612,6 @@ describe('packExternalModules', () => {
       fsExtraMock.copy.yields();
       childProcessMock.exec.onFirstCall().yields(new Error('NPM error'), JSON.stringify(lsResult), stderr);
       childProcessMock.exec.onSecondCall().yields(null, '', '');
-      childProcessMock.exec.onThirdCall().yields();
       module.compileStats = stats;
       return expect(module.packExternalModules()).to.be.fulfilled
       .then(() => BbPromise.all([
@@ -519,18 +620,15 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
         expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
         // The modules should have been copied
-        expect(fsExtraMock.pathExists).to.have.been.calledOnce,
-        expect(fsExtraMock.copy).to.have.been.calledOnce,
-        // npm ls and npm prune should have been called
-        expect(childProcessMock.exec).to.have.been.calledThrice,
+        expect(fsExtraMock.pathExists).to.have.been.calledWith(path.join(process.cwd(), 'package-lock.json')),
+        expect(fsExtraMock.copy).to.have.been.calledThrice,
+        // npm ls and npm install should have been called
+        expect(childProcessMock.exec).to.have.been.calledTwice,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
         ),
         expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
           'npm install'
-        ),
-        expect(childProcessMock.exec.thirdCall).to.have.been.calledWith(
-          'npm prune'
         )
       ]));
     });
@@ -546,7 +644,7 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub).to.not.have.been.called,
         // The modules should have been copied
         expect(fsExtraMock.copy).to.not.have.been.called,
-        // npm ls and npm prune should have been called
+        // npm ls and npm install should have been called
         expect(childProcessMock.exec).to.have.been.calledOnce,
       ]));
     });
@@ -582,7 +680,6 @@ describe('packExternalModules', () => {
       fsExtraMock.copy.yields();
       childProcessMock.exec.onFirstCall().yields(null, '{}', '');
       childProcessMock.exec.onSecondCall().yields(null, '', '');
-      childProcessMock.exec.onThirdCall().yields();
       module.compileStats = stats;
       return expect(module.packExternalModules()).to.be.fulfilled
       .then(() => BbPromise.all([
@@ -591,17 +688,14 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
         expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
         // The modules should have been copied
-        expect(fsExtraMock.copy).to.have.been.calledOnce,
-        // npm ls and npm prune should have been called
-        expect(childProcessMock.exec).to.have.been.calledThrice,
+        expect(fsExtraMock.copy).to.have.been.callCount(4),
+        // npm ls and npm install should have been called
+        expect(childProcessMock.exec).to.have.been.calledTwice,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
         ),
         expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
           'npm install'
-        ),
-        expect(childProcessMock.exec.thirdCall).to.have.been.calledWith(
-          'npm prune'
         )
       ]));
     });
@@ -637,7 +731,6 @@ describe('packExternalModules', () => {
       fsExtraMock.copy.yields();
       childProcessMock.exec.onFirstCall().yields(null, '{}', '');
       childProcessMock.exec.onSecondCall().yields(null, '', '');
-      childProcessMock.exec.onThirdCall().yields();
       module.compileStats = stats;
       return expect(module.packExternalModules()).to.be.fulfilled
       .then(() => BbPromise.all([
@@ -646,17 +739,14 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
         expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
         // The modules should have been copied
-        expect(fsExtraMock.copy).to.have.been.calledOnce,
-        // npm ls and npm prune should have been called
-        expect(childProcessMock.exec).to.have.been.calledThrice,
+        expect(fsExtraMock.copy).to.have.been.callCount(4),
+        // npm ls and npm install should have been called
+        expect(childProcessMock.exec).to.have.been.calledTwice,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
         ),
         expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
           'npm install'
-        ),
-        expect(childProcessMock.exec.thirdCall).to.have.been.calledWith(
-          'npm prune'
         )
       ]));
     });
@@ -691,7 +781,6 @@ describe('packExternalModules', () => {
       fsExtraMock.copy.yields();
       childProcessMock.exec.onFirstCall().yields(null, '{}', '');
       childProcessMock.exec.onSecondCall().yields(null, '', '');
-      childProcessMock.exec.onThirdCall().yields();
       module.compileStats = stats;
       return expect(module.packExternalModules()).to.be.fulfilled
       .then(() => BbPromise.all([
@@ -700,21 +789,123 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
         expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
         // The modules should have been copied
-        expect(fsExtraMock.copy).to.have.been.calledOnce,
-        // npm ls and npm prune should have been called
-        expect(childProcessMock.exec).to.have.been.calledThrice,
+        expect(fsExtraMock.copy).to.have.been.calledThrice,
+        // npm ls and npm install should have been called
+        expect(childProcessMock.exec).to.have.been.calledTwice,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
         ),
         expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
           'npm install'
-        ),
-        expect(childProcessMock.exec.thirdCall).to.have.been.calledWith(
-          'npm prune'
         )
       ]));
     });
 
+    describe('function settings', () => {
+      const functionStats = outputPath => ({
+        compilation: {
+          chunks: stats.stats[0].compilation.chunks,
+          compiler: {
+            outputPath
+          }
+        }
+      });
+      const multiStats = {
+        stats: [
+          functionStats('/my/Service/Path/.webpack/func1'),
+          functionStats('/my/Service/Path/.webpack/func2')
+        ]
+      };
+
+      beforeEach(() => {
+        module.webpackOutputPath = 'outputPath';
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+      });
+
+      it('should merge the forced modules of a function with the service settings', () => {
+        const expectedCompositePackageJSON = {
+          name: 'test-service',
+          version: '1.0.0',
+          description: 'Packaged externals for test-service',
+          private: true,
+          dependencies: {
+            '@scoped/vendor': '1.0.0',
+            bluebird: '^3.4.0',
+            pg: '^4.3.5',
+            uuid: '^5.4.1'
+          }
+        };
+        const expectedFunc1PackageJSON = {
+          dependencies: {
+            '@scoped/vendor': '1.0.0',
+            bluebird: '^3.4.0',
+            pg: '^4.3.5'
+          }
+        };
+        const expectedFunc2PackageJSON = {
+          dependencies: {
+            '@scoped/vendor': '1.0.0',
+            uuid: '^5.4.1',
+            bluebird: '^3.4.0'
+          }
+        };
+        module.entryFunctions = [
+          { funcName: 'func1', func: { webpackIncludeModules: { forceInclude: ['pg'], forceExclude: ['uuid'] } } },
+          { funcName: 'func2', func: {} }
+        ];
+        module.compileStats = multiStats;
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(writeFileSyncStub).to.have.been.calledThrice,
+          expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
+          expect(writeFileSyncStub).to.have.been.calledWith(
+            path.join('/my/Service/Path/.webpack/func1', 'package.json'),
+            JSON.stringify(expectedFunc1PackageJSON, null, 2)
+          ),
+          expect(writeFileSyncStub).to.have.been.calledWith(
+            path.join('/my/Service/Path/.webpack/func2', 'package.json'),
+            JSON.stringify(expectedFunc2PackageJSON, null, 2)
+          ),
+          // uuid is still installed for the other function
+          expect(serverless.cli.log).to.not.have.been.calledWithMatch(/^Excluding external modules/)
+        ]));
+      });
+
+      it('should exclude modules that all functions exclude', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.forceExclude', ['bluebird']);
+        module.entryFunctions = [
+          { funcName: 'func1', func: { webpackIncludeModules: { forceExclude: ['uuid'] } } },
+          { funcName: 'func2', func: { webpackIncludeModules: { forceExclude: ['uuid'] } } }
+        ];
+        module.compileStats = multiStats;
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(JSON.parse(writeFileSyncStub.firstCall.args[1])).to.have.property('dependencies').that.deep.equals({
+            '@scoped/vendor': '1.0.0'
+          }),
+          expect(serverless.cli.log).to.have.been.calledWith('Excluding external modules: uuid@^5.4.1, bluebird@^3.4.0')
+        ]));
+      });
+
+      it('should apply the forced inclusions of all functions if the service is packaged as a whole', () => {
+        _.set(serverless, 'service.functions', {
+          func1: { handler: 'handler1.hello', webpackIncludeModules: { forceInclude: ['pg'], forceExclude: ['uuid'] } },
+          func2: { handler: 'handler2.hello' }
+        });
+        module.compileStats = stats;
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(JSON.parse(writeFileSyncStub.firstCall.args[1])).to.have.property('dependencies').that.deep.equals({
+          '@scoped/vendor': '1.0.0',
+          uuid: '^5.4.1',
+          bluebird: '^3.4.0',
+          pg: '^4.3.5'
+        }));
+      });
+    });
+
     it('should read package-lock if found', () => {
       const expectedCompositePackageJSON = {
         name: 'test-service',
@@ -737,10 +928,11 @@ describe('packExternalModules', () => {
 
       module.webpackOutputPath = 'outputPath';
       fsExtraMock.pathExists.yields(null, true);
+      // The package lock could not be pruned, so none is installed
+      fsExtraMock.pathExists.withArgs(path.join('outputPath', 'dependencies', 'package-lock.json')).yields(null, false);
       fsExtraMock.copy.yields();
       childProcessMock.exec.onFirstCall().yields(null, '{}', '');
       childProcessMock.exec.onSecondCall().yields(null, '', '');
-      childProcessMock.exec.onThirdCall().yields();
       module.compileStats = stats;
       return expect(module.packExternalModules()).to.be.fulfilled
       .then(() => BbPromise.all([
@@ -749,17 +941,14 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
         expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
         // The modules should have been copied
-        expect(fsExtraMock.copy).to.have.been.calledOnce,
-        // npm ls and npm prune should have been called
-        expect(childProcessMock.exec).to.have.been.calledThrice,
+        expect(fsExtraMock.copy).to.have.been.calledThrice,
+        // npm ls and npm install should have been called
+        expect(childProcessMock.exec).to.have.been.calledTwice,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
         ),
         expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
           'npm install'
-        ),
-        expect(childProcessMock.exec.thirdCall).to.have.been.calledWith(
-          'npm prune'
         )
       ]));
     });
@@ -787,10 +976,11 @@ describe('packExternalModules', () => {
       module.webpackOutputPath = 'outputPath';
       readFileSyncStub.throws(new Error('Failed to read package-lock.json'));
       fsExtraMock.pathExists.yields(null, true);
-      fsExtraMock.copy.onFirstCall().yields();
+      // The package lock could not be pruned, so none is installed
+      fsExtraMock.pathExists.withArgs(path.join('outputPath', 'dependencies', 'package-lock.json')).yields(null, false);
+      fsExtraMock.copy.yields();
       childProcessMock.exec.onFirstCall().yields(null, '{}', '');
       childProcessMock.exec.onSecondCall().yields(null, '', '');
-      childProcessMock.exec.onThirdCall().yields();
       module.compileStats = stats;
       return expect(module.packExternalModules()).to.be.fulfilled
       .then(() => BbPromise.all([
@@ -799,110 +989,1561 @@ describe('packExternalModules', () => {
         expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
         expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
         // The modules should have been copied
-        expect(fsExtraMock.copy).to.have.been.calledOnce,
-        // npm ls and npm prune should have been called
-        expect(childProcessMock.exec).to.have.been.calledThrice,
+        expect(fsExtraMock.copy).to.have.been.calledThrice,
+        // npm ls and npm install should have been called
+        expect(childProcessMock.exec).to.have.been.calledTwice,
         expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
           'npm ls -prod -json -depth=1'
         ),
         expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
           'npm install'
-        ),
-        expect(childProcessMock.exec.thirdCall).to.have.been.calledWith(
-          'npm prune'
         )
       ]));
     });
 
-    describe('peer dependencies', () => {
-      before(() => {
-        const peerDepPackageJson = require('./data/package-peerdeps.json');
-        mockery.deregisterMock(path.join(process.cwd(), 'package.json'));
-        mockery.registerMock(path.join(process.cwd(), 'package.json'), peerDepPackageJson);
-        // Mock request-promise package.json
-        const rpPackageJson = require('./data/rp-package.json');
-        const rpPackagePath = path.join(
-          process.cwd(),
-          'node_modules',
-          'request-promise',
-          'package.json'
-        );
-        mockery.registerMock(rpPackagePath, rpPackageJson);
-      });
-
-      after(() => {
-        mockery.deregisterMock(path.join(process.cwd(), 'package.json'));
-        mockery.registerMock(path.join(process.cwd(), 'package.json'), packageMock);
-        const rpPackagePath = path.join(
-          process.cwd(),
-          'node_modules',
-          'request-promise',
-          'package.json'
-        );
-        mockery.deregisterMock(rpPackagePath);
-      });
+    it('should install external modules with yarn', () => {
+      const expectedCompositePackageJSON = {
+        name: 'test-service',
+        version: '1.0.0',
+        description: 'Packaged externals for test-service',
+        private: true,
+        dependencies: {
+          '@scoped/vendor': '1.0.0',
+          uuid: '^5.4.1',
+          bluebird: '^3.4.0'
+        }
+      };
+      const fakeYarnLock = [
+        '"@scoped/vendor@1.0.0":',
+        '  version "1.0.0"',
+        '',
+        'bluebird@^3.4.0:',
+        '  version "3.5.1"',
+        '',
+        'uuid@^5.4.1:',
+        '  version "5.4.1"',
+        ''
+      ].join('\n');
 
-      it('should install external peer dependencies', () => {
-        const expectedCompositePackageJSON = {
-          name: 'test-service',
-          version: '1.0.0',
-          description: 'Packaged externals for test-service',
-          private: true,
-          dependencies: {
-            bluebird: '^3.5.0',
-            'request-promise': '^4.2.1',
-            request: '^2.82.0'
-          }
-        };
-        const expectedPackageJSON = {
-          dependencies: {
-            bluebird: '^3.5.0',
-            'request-promise': '^4.2.1',
-            request: '^2.82.0'
-          }
-        };
+      _.set(serverless, 'service.custom.webpackIncludeModules.packager', 'yarn');
+      module.webpackOutputPath = 'outputPath';
+      readFileSyncStub.returns(fakeYarnLock);
+      fsExtraMock.pathExists.yields(null, true);
+      fsExtraMock.copy.yields();
+      childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+      childProcessMock.exec.onSecondCall().yields(null, '', '');
+      module.compileStats = stats;
+      return expect(module.packExternalModules()).to.be.fulfilled
+      .then(() => BbPromise.all([
+        // The composite package JSON, the lockfile and the module package JSON should have been stored
+        expect(writeFileSyncStub).to.have.been.calledThrice,
+        expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
+        expect(writeFileSyncStub.secondCall).to.have.been.calledWith(path.join('outputPath', 'dependencies', 'yarn.lock'), fakeYarnLock),
+        // The modules should have been copied
+        expect(fsExtraMock.copy).to.have.been.calledThrice,
+        // yarn list and yarn install should have been called
+        expect(childProcessMock.exec).to.have.been.calledTwice,
+        expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
+          'yarn list --depth=1 --json --production'
+        ),
+        expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
+          'yarn install --frozen-lockfile --non-interactive'
+        )
+      ]));
+    });
 
-        const dependencyGraph = require('./data/npm-ls-peerdeps.json');
-        const peerDepStats = {
-          stats: [
-            {
-              compilation: {
-                chunks: [
-                  new ChunkMock([
-                    {
-                      identifier: _.constant('"crypto"')
-                    },
-                    {
-                      identifier: _.constant('"uuid/v4"')
-                    },
-                    {
-                      identifier: _.constant('"mockery"')
-                    },
-                    {
-                      identifier: _.constant('"@scoped/vendor/module1"')
-                    },
-                    {
-                      identifier: _.constant('external "bluebird"')
-                    },
-                    {
-                      identifier: _.constant('external "request-promise"')
+    it('should lock the pinned versions of transient modules with yarn', () => {
+      const fakeYarnLock = [
+        'aws-sign2@~0.7.0:',
+        '  version "0.7.0"',
+        '',
+        'bluebird@^3.4.0:',
+        '  version "3.5.1"',
+        ''
+      ].join('\n');
+      const expectedYarnLock = [
+        'aws-sign2@~0.7.0, "aws-sign2@0.7.0":',
+        '  version "0.7.0"',
+        '',
+        'bluebird@^3.4.0:',
+        '  version "3.5.1"',
+        ''
+      ].join('\n');
+      const yarnTrees = {
+        data: {
+          trees: [
+            { name: 'bluebird@3.5.1', children: [] },
+            { name: 'request@2.83.0', children: [{ name: 'aws-sign2@0.7.0', children: [] }] }
+          ]
+        }
+      };
+      const transientStats = {
+        stats: [
+          {
+            compilation: {
+              chunks: [
+                new ChunkMock([
+                  {
+                    identifier: _.constant('external "bluebird"')
+                  },
+                  {
+                    identifier: _.constant('external "aws-sign2"'),
+                    issuer: {
+                      rawRequest: 'request/lib/helpers'
                     }
-                  ])
-                ],
-                compiler: {
-                  outputPath: '/my/Service/Path/.webpack/service'
-                }
+                  }
+                ])
+              ],
+              compiler: {
+                outputPath: '/my/Service/Path/.webpack/service'
               }
             }
-          ]
-        };
+          }
+        ]
+      };
 
-        module.webpackOutputPath = 'outputPath';
-        fsExtraMock.pathExists.yields(null, false);
-        fsExtraMock.copy.yields();
+      _.set(serverless, 'service.custom.webpackIncludeModules.packager', 'yarn');
+      module.webpackOutputPath = 'outputPath';
+      readFileSyncStub.returns(fakeYarnLock);
+      fsExtraMock.pathExists.yields(null, true);
+      fsExtraMock.copy.yields();
+      childProcessMock.exec.onFirstCall().yields(null, JSON.stringify(yarnTrees), '');
+      childProcessMock.exec.onSecondCall().yields(null, '', '');
+      module.compileStats = transientStats;
+      return expect(module.packExternalModules()).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(writeFileSyncStub.firstCall.args[1]).to.contain('"aws-sign2": "0.7.0"'),
+        // The frozen lockfile install needs the pinned version in the yarn.lock
+        expect(writeFileSyncStub.secondCall).to.have.been.calledWith(path.join('outputPath', 'dependencies', 'yarn.lock'), expectedYarnLock),
+        expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
+          'yarn install --frozen-lockfile --non-interactive'
+        )
+      ]));
+    });
+
+    it('should install external modules with pnpm', () => {
+      const expectedPackageJSON = {
+        dependencies: {
+          '@scoped/vendor': '1.0.0',
+          uuid: '^5.4.1',
+          bluebird: '^3.4.0'
+        }
+      };
+      const fakePnpmLock = {
+        lockfileVersion: '9.0',
+        importers: {
+          '.': {
+            dependencies: {
+              '@scoped/vendor': { specifier: '1.0.0', version: '1.0.0' },
+              bluebird: { specifier: '^3.4.0', version: '3.5.1' },
+              uuid: { specifier: '^5.4.1', version: '5.4.1' }
+            },
+            devDependencies: {
+              mocha: { specifier: '^5.0.0', version: '5.2.0' }
+            }
+          }
+        },
+        packages: {
+          '@scoped/vendor@1.0.0': {},
+          'bluebird@3.5.1': {},
+          'mocha@5.2.0': {},
+          'uuid@5.4.1': {}
+        },
+        snapshots: {
+          '@scoped/vendor@1.0.0': {},
+          'bluebird@3.5.1': {},
+          'mocha@5.2.0': {},
+          'uuid@5.4.1': {}
+        }
+      };
+      const expectedPnpmLock = {
+        lockfileVersion: '9.0',
+        importers: {
+          '.': {
+            dependencies: {
+              '@scoped/vendor': { specifier: '1.0.0', version: '1.0.0' },
+              uuid: { specifier: '^5.4.1', version: '5.4.1' },
+              bluebird: { specifier: '^3.4.0', version: '3.5.1' }
+            }
+          }
+        },
+        packages: _.omit(fakePnpmLock.packages, 'mocha@5.2.0'),
+        snapshots: _.omit(fakePnpmLock.snapshots, 'mocha@5.2.0')
+      };
+
+      _.set(serverless, 'service.custom.webpackIncludeModules.packager', 'pnpm');
+      module.webpackOutputPath = 'outputPath';
+      readFileSyncStub.returns(fakePnpmLock);
+      fsExtraMock.pathExists.yields(null, true);
+      fsExtraMock.copy.yields();
+      childProcessMock.exec.onFirstCall().yields(null, '[]', '');
+      childProcessMock.exec.onSecondCall().yields(null, '', '');
+      module.compileStats = stats;
+      return expect(module.packExternalModules()).to.be.fulfilled
+      .then(() => BbPromise.all([
+        // The composite package JSON, the lockfile and the module package JSON should have been stored
+        expect(writeFileSyncStub).to.have.been.calledThrice,
+        expect(writeFileSyncStub.secondCall).to.have.been.calledWith(
+          path.join('outputPath', 'dependencies', 'pnpm-lock.yaml'),
+          JSON.stringify(expectedPnpmLock, null, 2)
+        ),
+        expect(writeFileSyncStub.thirdCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
+        // The modules should have been copied from the hoisted installation
+        expect(fsExtraMock.copy).to.have.been.calledThrice,
+        expect(fsExtraMock.copy).to.have.been.calledWith(
+          path.join('outputPath', 'dependencies', 'node_modules', 'bluebird'),
+          path.join('/my/Service/Path/.webpack/service', 'node_modules', 'bluebird')
+        ),
+        // pnpm list and pnpm install should have been called
+        expect(childProcessMock.exec).to.have.been.calledTwice,
+        expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
+          'pnpm list --prod --json --depth=1'
+        ),
+        expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
+          'pnpm install --config.node-linker=hoisted --frozen-lockfile'
+        )
+      ]));
+    });
+
+    it('should install without lockfile if the lockfile cannot be pruned', () => {
+      _.set(serverless, 'service.custom.webpackIncludeModules.packager', 'pnpm');
+      module.webpackOutputPath = 'outputPath';
+      readFileSyncStub.returns({ lockfileVersion: 5.4, specifiers: { bluebird: '^3.4.0' } });
+      fsExtraMock.pathExists.yields(null, true);
+      fsExtraMock.copy.yields();
+      childProcessMock.exec.onFirstCall().yields(null, '[]', '');
+      childProcessMock.exec.onSecondCall().yields(null, '', '');
+      module.compileStats = stats;
+      return expect(module.packExternalModules()).to.be.fulfilled
+      .then(() => BbPromise.all([
+        // Only the composite package JSON and the module package JSON should have been stored
+        expect(writeFileSyncStub).to.have.been.calledTwice,
+        expect(writeFileSyncStub).to.not.have.been.calledWith(path.join('outputPath', 'dependencies', 'pnpm-lock.yaml')),
+        expect(serverless.cli.log).to.have.been.calledWithMatch(/^WARNING: Could not lock the external modules with .*pnpm-lock\.yaml/)
+      ]));
+    });
+
+    it('should resolve versions of transient modules from the package lock', () => {
+      const expectedPackageJSON = {
+        dependencies: {
+          bluebird: '^3.4.0',
+          'combined-stream': '1.0.5',
+          'aws-sign2': '0.7.0',
+          'delayed-stream': '1.0.0'
+        }
+      };
+      const packageLock = {
+        lockfileVersion: 1,
+        dependencies: {
+          'aws-sign2': {
+            version: '0.7.0'
+          },
+          bluebird: {
+            version: '3.5.1'
+          },
+          'delayed-stream': {
+            version: '0.0.5'
+          },
+          request: {
+            version: '2.83.0',
+            dependencies: {
+              'combined-stream': {
+                version: '1.0.5',
+                dependencies: {
+                  'delayed-stream': {
+                    version: '1.0.0'
+                  }
+                }
+              }
+            }
+          }
+        }
+      };
+      const requestIssuer = {
+        rawRequest: 'request/lib/helpers'
+      };
+      const transientStats = {
+        stats: [
+          {
+            compilation: {
+              chunks: [
+                new ChunkMock([
+                  {
+                    identifier: _.constant('external "bluebird"')
+                  },
+                  {
+                    identifier: _.constant('external "combined-stream"'),
+                    issuer: requestIssuer
+                  },
+                  {
+                    identifier: _.constant('external "aws-sign2"'),
+                    issuer: requestIssuer
+                  },
+                  {
+                    identifier: _.constant('external "delayed-stream"'),
+                    issuer: {
+                      rawRequest: './lib/delayed',
+                      issuer: {
+                        rawRequest: 'combined-stream'
+                      }
+                    }
+                  },
+                ])
+              ],
+              compiler: {
+                outputPath: '/my/Service/Path/.webpack/service'
+              }
+            }
+          }
+        ]
+      };
+
+      module.webpackOutputPath = 'outputPath';
+      fsExtraMock.readJsonSync.withArgs(sinon.match(/package-lock\.json$/)).returns(packageLock);
+      fsExtraMock.pathExists.yields(null, false);
+      fsExtraMock.copy.yields();
+      childProcessMock.exec.onFirstCall().yields(null, '', '');
+      module.compileStats = transientStats;
+      return expect(module.packExternalModules()).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(writeFileSyncStub).to.have.been.calledTwice,
+        expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
+        // All versions could be determined
+        expect(serverless.cli.log).to.not.have.been.calledWithMatch(/Could not determine version/),
+        // npm ls should not have been called
+        expect(childProcessMock.exec).to.have.been.calledOnce,
+        expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
+          'npm install'
+        )
+      ]));
+    });
+
+    it('should reject an unknown copy strategy', () => {
+      _.set(serverless, 'service.custom.webpackIncludeModules.copyStrategy', 'unknown');
+      module.webpackOutputPath = 'outputPath';
+      module.compileStats = stats;
+      return expect(module.packExternalModules()).to.be.rejectedWith("Unknown copyStrategy 'unknown'")
+      .then(() => expect(childProcessMock.exec).to.not.have.been.called);
+    });
+
+    it('should hard-link only the needed modules with the link copy strategy', () => {
+      const compositeModulePath = path.join('outputPath', 'dependencies');
+      const modulePath = '/my/Service/Path/.webpack/service';
+      _.set(serverless, 'service.custom.webpackIncludeModules.copyStrategy', 'link');
+      module.webpackOutputPath = 'outputPath';
+      fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+        return _.startsWith(packageJsonPath, path.join(compositeModulePath, 'node_modules')) ? { version: '1.0.0' } : null;
+      });
+      fsExtraMock.readdir.callsFake((dir, cb) => cb(null, [ 'index.js' ]));
+      fsExtraMock.stat.callsFake((file, cb) => cb(null, { isDirectory: _.constant(false) }));
+      fsExtraMock.mkdirs.yields();
+      fsExtraMock.link.yields();
+      fsExtraMock.pathExists.yields(null, false);
+      fsExtraMock.copy.yields();
+      childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+      childProcessMock.exec.onSecondCall().yields(null, '', '');
+      module.compileStats = stats;
+      return expect(module.packExternalModules()).to.be.fulfilled
+      .then(() => BbPromise.all([
+        // The modules should have been linked instead of copied
+        expect(fsExtraMock.copy).to.not.have.been.called,
+        expect(fsExtraMock.link).to.have.been.calledThrice,
+        expect(fsExtraMock.link).to.have.been.calledWith(
+          path.join(compositeModulePath, 'node_modules', '@scoped', 'vendor', 'index.js'),
+          path.join(modulePath, 'node_modules', '@scoped', 'vendor', 'index.js')
+        ),
+        expect(fsExtraMock.link).to.have.been.calledWith(
+          path.join(compositeModulePath, 'node_modules', 'uuid', 'index.js'),
+          path.join(modulePath, 'node_modules', 'uuid', 'index.js')
+        ),
+        expect(fsExtraMock.link).to.have.been.calledWith(
+          path.join(compositeModulePath, 'node_modules', 'bluebird', 'index.js'),
+          path.join(modulePath, 'node_modules', 'bluebird', 'index.js')
+        ),
+      ]));
+    });
+
+    it('should reject an invalid concurrency', () => {
+      _.set(serverless, 'service.custom.webpackIncludeModules.concurrency', 0);
+      module.webpackOutputPath = 'outputPath';
+      module.compileStats = stats;
+      return expect(module.packExternalModules()).to.be.rejectedWith("concurrency must be a positive integer, but is '0'.")
+      .then(() => expect(childProcessMock.exec).to.not.have.been.called);
+    });
+
+    it('should pack the modules of multiple functions concurrently', () => {
+      const functionStats = outputPath => ({
+        compilation: {
+          chunks: stats.stats[0].compilation.chunks,
+          compiler: {
+            outputPath
+          }
+        }
+      });
+      const multiStats = {
+        stats: [
+          functionStats('/my/Service/Path/.webpack/func1'),
+          functionStats('/my/Service/Path/.webpack/func2')
+        ]
+      };
+      const pendingCopies = [];
+
+      _.set(serverless, 'service.custom.webpackIncludeModules.concurrency', 2);
+      module.webpackOutputPath = 'outputPath';
+      fsExtraMock.pathExists.yields(null, false);
+      childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+      childProcessMock.exec.onSecondCall().yields(null, '', '');
+      // The first copies only finish when both functions are processed at the same time
+      fsExtraMock.copy.callsFake((source, target, options, cb) => {
+        if (_.size(pendingCopies) >= 2) {
+          return cb();
+        }
+        pendingCopies.push(cb);
+        if (_.size(pendingCopies) === 2) {
+          _.forEach(pendingCopies, pendingCopy => pendingCopy());
+        }
+      });
+      module.compileStats = multiStats;
+      return expect(module.packExternalModules()).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.copy).to.have.been.callCount(6),
+        expect(childProcessMock.exec).to.have.been.calledTwice,
+        expect(serverless.cli.log).to.have.been.calledWithMatch(/^Packed external modules: \/my\/Service\/Path\/.webpack\/func1/),
+        expect(serverless.cli.log).to.have.been.calledWithMatch(/^Packed external modules: \/my\/Service\/Path\/.webpack\/func2/),
+      ]));
+    });
+
+    describe('cache', () => {
+      const cacheDir = path.join('/my/Service/Path', 'node_modules', '.cache', 'serverless-webpack');
+
+      beforeEach(() => {
+        _.set(serverless, 'config.servicePath', '/my/Service/Path');
+        _.set(serverless, 'service.custom.webpackIncludeModules.cache', true);
+        sandbox.stub(process, 'cwd').returns('/my/Service/Path');
+        mockery.registerMock(path.join('/my/Service/Path', 'package.json'), packageMock);
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = stats;
+        fsExtraMock.copy.yields();
+        fsExtraMock.move.yields();
+        fsExtraMock.remove.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+        });
+
+      afterEach(() => {
+        mockery.deregisterMock(path.join('/my/Service/Path', 'package.json'));
+      });
+
+      it('should install and cache the modules if there is no cache entry', () => {
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.pathExists.withArgs(path.join('outputPath', 'dependencies', 'node_modules')).yields(null, true);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(childProcessMock.exec).to.have.been.calledTwice,
+          expect(childProcessMock.exec.secondCall).to.have.been.calledWith('npm install'),
+          expect(fsExtraMock.move).to.have.been.calledOnce,
+          expect(fsExtraMock.move.firstCall.args[1]).to.match(new RegExp(`^${_.escapeRegExp(cacheDir)}`)),
+        ]));
+      });
+
+      it('should reuse the cached modules if there is a cache entry', () => {
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.pathExists.withArgs(sinon.match(new RegExp(`^${_.escapeRegExp(cacheDir)}`))).yields(null, true);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          // npm install should not have been called
+          expect(childProcessMock.exec).to.have.been.calledOnce,
+          expect(childProcessMock.exec.firstCall).to.have.been.calledWith('npm ls -prod -json -depth=1'),
+          expect(fsExtraMock.copy.firstCall.args[0]).to.match(new RegExp(`^${_.escapeRegExp(cacheDir)}`)),
+          expect(fsExtraMock.move).to.not.have.been.called,
+          expect(serverless.cli.log).to.have.been.calledWithMatch(/Using cached external modules/),
+        ]));
+      });
+
+      it('should continue if the modules cannot be cached', () => {
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.pathExists.withArgs(path.join('outputPath', 'dependencies', 'node_modules')).yields(null, true);
+        fsExtraMock.move.yields(new Error('Disk full'));
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(serverless.cli.log).to.have.been.calledWith('Warning: Could not cache external modules: Disk full'));
+      });
+
+      it('should use a configured cache directory', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.cache', 'my-cache');
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.pathExists.withArgs(path.join('outputPath', 'dependencies', 'node_modules')).yields(null, true);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(fsExtraMock.move.firstCall.args[1]).to.match(new RegExp(`^${_.escapeRegExp(path.join('/my/Service/Path', 'my-cache'))}`)));
+      });
+    });
+
+    describe('packager configuration', () => {
+      const npmrcPath = path.join('/my/Service/Path', '.npmrc');
+      const compositeNpmrcPath = path.join('outputPath', 'dependencies', '.npmrc');
+
+      beforeEach(() => {
+        sandbox.stub(process, 'cwd').returns('/my/Service/Path');
+        mockery.registerMock(path.join('/my/Service/Path', 'package.json'), packageMock);
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = stats;
+        fsExtraMock.copy.yields();
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.pathExists.withArgs(npmrcPath).yields(null, true);
+        fsExtraMock.readFile.withArgs(npmrcPath).yields(null, '//npm.company.com/:_authToken=secret');
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+      });
+
+      afterEach(() => {
+        mockery.deregisterMock(path.join('/my/Service/Path', 'package.json'));
+      });
+
+      it('should provide the .npmrc of the service for the install only', () => {
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(fsExtraMock.writeFile).to.have.been.calledOnce,
+          expect(fsExtraMock.writeFile).to.have.been.calledWith(compositeNpmrcPath, '//npm.company.com/:_authToken=secret'),
+          expect(fsExtraMock.writeFile.firstCall.calledBefore(childProcessMock.exec.secondCall)).to.be.true,
+          expect(fsExtraMock.remove).to.have.been.calledWith(compositeNpmrcPath),
+          expect(fsExtraMock.remove.firstCall.calledAfter(childProcessMock.exec.secondCall)).to.be.true,
+          // The configuration must never be copied into the function folders
+          expect(fsExtraMock.copy).to.not.have.been.calledWith(compositeNpmrcPath),
+        ]));
+      });
+
+      it('should remove the .npmrc if the install fails', () => {
+        childProcessMock.exec.onSecondCall().yields(new Error('npm install failed'));
+        return expect(module.packExternalModules()).to.be.rejectedWith('npm install failed')
+        .then(() => expect(fsExtraMock.remove).to.have.been.calledWith(compositeNpmrcPath));
+      });
+    });
+
+    describe('strict mode', () => {
+      const devDepStats = {
+        stats: [
+          {
+            compilation: {
+              chunks: [
+                new ChunkMock([
+                  {
+                    identifier: _.constant('external "bluebird"'),
+                    issuer: {
+                      rawRequest: './handler.js',
+                      resource: '/my/Service/Path/handler.js'
+                    }
+                  },
+                  {
+                    identifier: _.constant('external "eslint"'),
+                    issuer: {
+                      rawRequest: './handler.js',
+                      resource: '/my/Service/Path/handler.js'
+                    }
+                  },
+                  {
+                    identifier: _.constant('external "not-declared"'),
+                    issuer: {
+                      rawRequest: '../lib/helper',
+                      resource: '/my/Service/lib/helper.js'
+                    }
+                  },
+                  {
+                    identifier: _.constant('external "combined-stream"'),
+                    issuer: {
+                      rawRequest: 'request'
+                    }
+                  },
+                ])
+              ],
+              compiler: {
+                outputPath: '/my/Service/Path/.webpack/hello'
+              }
+            }
+          }
+        ]
+      };
+
+      beforeEach(() => {
+        _.set(serverless, 'config.servicePath', '/my/Service/Path');
+        module.entryFunctions = [
+          { funcName: 'hello' }
+        ];
+      });
+
+      it('should fail for undeclared externals when deploying', () => {
+        _.set(serverless, 'processedInput.commands', [ 'deploy' ]);
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = devDepStats;
+        return expect(module.packExternalModules()).to.be.rejectedWith(/Strict mode/)
+        .then(err => BbPromise.all([
+          expect(err.message).to.contain('eslint (only declared in devDependencies) in function hello, imported by handler.js'),
+          expect(err.message).to.contain(`not-declared (not declared) in function hello, imported by ${path.join('..', 'lib', 'helper.js')}`),
+          expect(err.message).to.not.contain('bluebird'),
+          expect(err.message).to.not.contain('combined-stream'),
+          expect(childProcessMock.exec).to.not.have.been.called,
+          expect(writeFileSyncStub).to.not.have.been.called,
+        ]));
+      });
+
+      it('should fail for undeclared externals if enabled explicitly', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.strict', true);
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = devDepStats;
+        return expect(module.packExternalModules()).to.be.rejectedWith(/Strict mode/);
+      });
+
+      it('should ignore forcibly excluded externals', () => {
+        _.set(serverless, 'processedInput.commands', [ 'deploy' ]);
+        _.set(serverless, 'service.custom.webpackIncludeModules.forceExclude', [ 'eslint', 'not-declared' ]);
+        module.webpackOutputPath = 'outputPath';
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+        module.compileStats = devDepStats;
+        return expect(module.packExternalModules()).to.be.fulfilled;
+      });
+
+      it('should not fail if disabled when deploying', () => {
+        _.set(serverless, 'processedInput.commands', [ 'deploy' ]);
+        _.set(serverless, 'service.custom.webpackIncludeModules.strict', false);
+        module.webpackOutputPath = 'outputPath';
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+        module.compileStats = devDepStats;
+        return expect(module.packExternalModules()).to.be.fulfilled;
+      });
+
+      it('should not fail by default for other commands', () => {
+        _.set(serverless, 'processedInput.commands', [ 'package' ]);
+        module.webpackOutputPath = 'outputPath';
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+        module.compileStats = devDepStats;
+        return expect(module.packExternalModules()).to.be.fulfilled;
+      });
+    });
+
+    describe('runtime modules', () => {
+      const runtimePackageJson = {
+        dependencies: {
+          '@aws-sdk/client-s3': '^3.400.0',
+          'aws-sdk': '^2.1400.0',
+          uuid: '^5.4.1'
+        }
+      };
+      const runtimeStats = {
+        stats: [
+          {
+            compilation: {
+              chunks: [
+                new ChunkMock([
+                  {
+                    identifier: _.constant('external "@aws-sdk/client-s3"')
+                  },
+                  {
+                    identifier: _.constant('external "aws-sdk"')
+                  },
+                  {
+                    identifier: _.constant('external "uuid/v4"')
+                  }
+                ])
+              ],
+              compiler: {
+                outputPath: '/my/Service/Path/.webpack/service'
+              }
+            }
+          }
+        ]
+      };
+      const getCompositeDependencies = () => JSON.parse(writeFileSyncStub.firstCall.args[1]).dependencies;
+
+      before(() => {
+        mockery.deregisterMock(path.join(process.cwd(), 'package.json'));
+        mockery.registerMock(path.join(process.cwd(), 'package.json'), runtimePackageJson);
+      });
+
+      after(() => {
+        mockery.deregisterMock(path.join(process.cwd(), 'package.json'));
+        mockery.registerMock(path.join(process.cwd(), 'package.json'), packageMock);
+      });
+
+      beforeEach(() => {
+        _.set(serverless, 'service.provider.name', 'aws');
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = runtimeStats;
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+      });
+
+      it('should package all modules if the runtime is unknown', () => {
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(getCompositeDependencies()).to.have.all.keys('@aws-sdk/client-s3', 'aws-sdk', 'uuid'),
+          expect(serverless.cli.log).to.not.have.been.calledWithMatch(/provided by the runtime/)
+        ]));
+      });
+
+      it('should exclude the AWS SDK v2 for Node 16 and earlier', () => {
+        _.set(serverless, 'service.provider.runtime', 'nodejs16.x');
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(getCompositeDependencies()).to.have.all.keys('@aws-sdk/client-s3', 'uuid'),
+          expect(serverless.cli.log).to.have.been.calledWith('Excluding external modules provided by the runtime: aws-sdk@^2.1400.0')
+        ]));
+      });
+
+      it('should exclude the AWS SDK v3 for Node 18 and later', () => {
+        _.set(serverless, 'service.provider.runtime', 'nodejs20.x');
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(getCompositeDependencies()).to.have.all.keys('aws-sdk', 'uuid'),
+          expect(serverless.cli.log).to.have.been.calledWith('Excluding external modules provided by the runtime: @aws-sdk/client-s3@^3.400.0')
+        ]));
+      });
+
+      it('should use the runtime of the function', () => {
+        _.set(serverless, 'service.provider.runtime', 'nodejs20.x');
+        module.entryFunctions = [
+          { funcName: 'func1', func: { runtime: 'nodejs16.x' } }
+        ];
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(getCompositeDependencies()).to.have.all.keys('@aws-sdk/client-s3', 'uuid'));
+      });
+
+      it('should only exclude modules provided by the runtimes of all functions if the service is packaged as a whole', () => {
+        _.set(serverless, 'service.provider.runtime', 'nodejs20.x');
+        _.set(serverless, 'service.functions', {
+          func1: { handler: 'handler1.hello', runtime: 'nodejs18.x' },
+          func2: { handler: 'handler2.hello', runtime: 'nodejs16.x' }
+        });
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(getCompositeDependencies()).to.have.all.keys('@aws-sdk/client-s3', 'aws-sdk', 'uuid'));
+      });
+
+      it('should package the configured runtime modules', () => {
+        _.set(serverless, 'service.provider.runtime', 'nodejs20.x');
+        _.set(serverless, 'service.custom.webpackIncludeModules.packageRuntimeModules', ['@aws-sdk/client-s3']);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(getCompositeDependencies()).to.have.all.keys('@aws-sdk/client-s3', 'aws-sdk', 'uuid'));
+      });
+
+      it('should package all runtime modules if enabled', () => {
+        _.set(serverless, 'service.provider.runtime', 'nodejs16.x');
+        _.set(serverless, 'service.custom.webpackIncludeModules.packageRuntimeModules', true);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(getCompositeDependencies()).to.have.all.keys('@aws-sdk/client-s3', 'aws-sdk', 'uuid'));
+      });
+
+      it('should not fail in strict mode for runtime modules that are not declared', () => {
+        _.set(serverless, 'service.provider.runtime', 'nodejs20.x');
+        _.set(serverless, 'service.custom.webpackIncludeModules.strict', true);
+        _.set(serverless, 'config.servicePath', '/my/Service/Path');
+        module.compileStats = {
+          stats: [{
+            compilation: {
+              chunks: [
+                new ChunkMock([
+                  {
+                    identifier: _.constant('external "@aws-sdk/client-dynamodb"'),
+                    issuer: {
+                      rawRequest: './handler.js',
+                      resource: '/my/Service/Path/handler.js'
+                    }
+                  }
+                ])
+              ],
+              compiler: {
+                outputPath: '/my/Service/Path/.webpack/service'
+              }
+            }
+          }]
+        };
+        return expect(module.packExternalModules()).to.be.fulfilled;
+      });
+    });
+
+    describe('layers', () => {
+      const getCompositeDependencies = () => JSON.parse(writeFileSyncStub.firstCall.args[1]).dependencies;
+      const layerPackageJsons = {
+        [path.join('/my/Service/Path', 'layers', 'common', 'package.json')]: {
+          dependencies: {
+            bluebird: '^2.11.0',
+            uuid: '^5.0.0'
+          }
+        },
+        [path.join('/my/Service/Path', 'layers', 'vendor', 'nodejs', 'node_modules', '@scoped', 'vendor', 'package.json')]: {
+          name: '@scoped/vendor',
+          version: '1.0.0'
+        }
+      };
+
+      beforeEach(() => {
+        _.set(serverless, 'config.servicePath', '/my/Service/Path');
+        _.set(serverless, 'service.custom.webpackIncludeModules.layers', {
+          common: 'layers/common/package.json',
+          'arn:aws:lambda:us-east-1:123456789012:layer:vendor:3': 'layers/vendor'
+        });
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = stats;
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+          return _.includes(_.keys(layerPackageJsons), packageJsonPath) ?
+            layerPackageJsons[packageJsonPath] :
+            _.includes(_.split(packageJsonPath, path.sep), 'node_modules') ? {} : null;
+        });
+        fsExtraMock.pathExistsSync.withArgs(path.join('/my/Service/Path', 'layers/vendor', 'nodejs/node_modules')).returns(true);
+        globbyMock.sync.returns(['nodejs/node_modules/@scoped/vendor/package.json']);
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+      });
+
+      afterEach(() => {
+        globbyMock.sync.reset();
+        fsExtraMock.pathExistsSync.reset();
+      });
+
+      it('should exclude the modules of the layers of a function', () => {
+        module.entryFunctions = [
+          { funcName: 'func1', func: { layers: [ { Ref: 'CommonLambdaLayer' }, 'arn:aws:lambda:us-east-1:123456789012:layer:vendor:3' ] } }
+        ];
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(childProcessMock.exec).to.not.have.been.calledWith(sinon.match(/install/)),
+          expect(globbyMock.sync).to.have.been.calledWith(
+            sinon.match.array.contains(['nodejs/node_modules/*/package.json']),
+            sinon.match({ cwd: path.join('/my/Service/Path', 'layers', 'vendor') })
+          ),
+          expect(serverless.cli.log).to.have.been.calledWith(
+            'Excluding external modules supplied by layers: @scoped/vendor@1.0.0, uuid@^5.4.1, bluebird@^3.4.0'
+          )
+        ]));
+      });
+
+      it('should warn if the version of a layer module does not satisfy the service', () => {
+        _.set(serverless, 'service.provider.layers', [{ Ref: 'CommonLambdaLayer' }]);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(getCompositeDependencies()).to.deep.equal({ '@scoped/vendor': '1.0.0' }),
+          expect(serverless.cli.log).to.have.been.calledWith(
+            'WARNING: Layer common supplies bluebird@^2.11.0, which does not satisfy ^3.4.0 of the service'
+          ),
+          expect(serverless.cli.log).to.not.have.been.calledWithMatch(/supplies uuid/)
+        ]));
+      });
+
+      it('should let function layers override the layers of the provider', () => {
+        _.set(serverless, 'service.provider.layers', [{ Ref: 'CommonLambdaLayer' }]);
+        module.entryFunctions = [
+          { funcName: 'func1', func: { layers: ['arn:aws:lambda:us-east-1:123456789012:layer:vendor:3'] } }
+        ];
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(getCompositeDependencies()).to.deep.equal({ uuid: '^5.4.1', bluebird: '^3.4.0' }));
+      });
+
+      it('should only exclude modules that the layers of all functions supply if the service is packaged as a whole', () => {
+        _.set(serverless, 'service.functions', {
+          func1: { handler: 'handler1.hello', layers: [ { Ref: 'CommonLambdaLayer' }, 'arn:aws:lambda:us-east-1:123456789012:layer:vendor:3' ] },
+          func2: { handler: 'handler2.hello', layers: [{ Ref: 'CommonLambdaLayer' }] }
+        });
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(getCompositeDependencies()).to.deep.equal({ '@scoped/vendor': '1.0.0' }));
+      });
+
+      it('should ignore layers that are not configured', () => {
+        _.set(serverless, 'service.provider.layers', ['arn:aws:lambda:us-east-1:123456789012:layer:other:1']);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(getCompositeDependencies()).to.have.all.keys('@scoped/vendor', 'uuid', 'bluebird'));
+      });
+
+      it('should reject if a layer cannot be read', () => {
+        globbyMock.sync.returns([]);
+        return expect(module.packExternalModules()).to.be.rejectedWith(
+          'Could not read the modules of layer arn:aws:lambda:us-east-1:123456789012:layer:vendor:3 from layers/vendor.'
+        )
+        .then(() => expect(childProcessMock.exec).to.not.have.been.called);
+      });
+    });
+
+    describe('shared layer', () => {
+      const functionStats = (outputPath, chunks) => ({
+        compilation: {
+          chunks,
+          compiler: {
+            outputPath
+          }
+        }
+      });
+      const multiStats = {
+        stats: [
+          functionStats('/my/Service/Path/.webpack/func1', stats.stats[0].compilation.chunks),
+          functionStats('/my/Service/Path/.webpack/func2', [
+            new ChunkMock([
+              {
+                identifier: _.constant('external "uuid/v4"')
+              },
+              {
+                identifier: _.constant('external "bluebird"')
+              }
+            ])
+          ]),
+          functionStats('/my/Service/Path/.webpack/func3', [
+            new ChunkMock([
+              {
+                identifier: _.constant('external "uuid/v4"')
+              }
+            ])
+          ])
+        ]
+      };
+      const writtenPackageJson = packageJsonPath => JSON.parse(_.find(writeFileSyncStub.args, args => args[0] === packageJsonPath)[1]);
+
+      beforeEach(() => {
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = multiStats;
+        module.entryFunctions = [
+          { funcName: 'func1', func: {} },
+          { funcName: 'func2', func: {} },
+          { funcName: 'func3', func: {} }
+        ];
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+      });
+
+      it('should move the modules that more functions than the threshold use into the shared layer', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.sharedLayer', true);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(module.sharedLayer).to.deep.equal({
+            name: 'externalModules',
+            logicalId: 'ExternalModulesLambdaLayer',
+            path: path.join('outputPath', 'sharedLayer'),
+            functions: [ 'func1', 'func2', 'func3' ]
+          }),
+          expect(serverless.cli.log).to.have.been.calledWith('Moving external modules into the shared layer externalModules: uuid@^5.4.1, bluebird@^3.4.0'),
+          expect(writtenPackageJson(path.join('outputPath', 'sharedLayer', 'nodejs', 'package.json'))).to.deep.equal({
+            dependencies: {
+              uuid: '^5.4.1',
+              bluebird: '^3.4.0'
+            }
+          }),
+          expect(fsExtraMock.copy).to.have.been.calledWith(
+            path.join('outputPath', 'dependencies', 'node_modules', 'uuid'),
+            path.join('outputPath', 'sharedLayer', 'nodejs', 'node_modules', 'uuid')
+          ),
+          expect(writtenPackageJson(path.join('/my/Service/Path/.webpack/func1', 'package.json'))).to.deep.equal({
+            dependencies: {
+              '@scoped/vendor': '1.0.0'
+            }
+          }),
+          expect(writtenPackageJson(path.join('/my/Service/Path/.webpack/func3', 'package.json'))).to.deep.equal({
+            dependencies: {}
+          }),
+          expect(fsExtraMock.copy).to.not.have.been.calledWith(sinon.match.any, path.join('/my/Service/Path/.webpack/func3', 'node_modules', 'uuid'))
+        ]));
+      });
+
+      it('should use the configured name and threshold', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.sharedLayer', { name: 'shared', threshold: 2 });
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(module.sharedLayer).to.deep.equal({
+            name: 'shared',
+            logicalId: 'SharedLambdaLayer',
+            path: path.join('outputPath', 'sharedLayer'),
+            functions: [ 'func1', 'func2', 'func3' ]
+          }),
+          expect(writtenPackageJson(path.join('/my/Service/Path/.webpack/func2', 'package.json'))).to.deep.equal({
+            dependencies: {
+              bluebird: '^3.4.0'
+            }
+          })
+        ]));
+      });
+
+      it('should not build a shared layer if no module exceeds the threshold', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.sharedLayer', { threshold: 3 });
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(module.sharedLayer).to.be.null,
+          expect(serverless.cli.log).to.not.have.been.calledWithMatch(/shared layer/)
+        ]));
+      });
+
+      it('should not build a shared layer when packaging the service as a whole', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.sharedLayer', true);
+        module.entryFunctions = undefined;
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(module.sharedLayer).to.be.null,
+          expect(serverless.cli.log).to.have.been.calledWith('WARNING: The shared layer is only built when packaging individually')
+        ]));
+      });
+
+      it('should reject an invalid threshold', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.sharedLayer', { threshold: 0 });
+        return expect(module.packExternalModules()).to.be.rejectedWith('sharedLayer.threshold must be a positive integer, but is \'0\'.');
+      });
+    });
+
+    describe('native addons', () => {
+      const addonFile = 'node_modules/bcrypt/lib/binding/bcrypt_lib.node';
+      const elfBinary = machine => {
+        const buffer = Buffer.alloc(64);
+        buffer.writeUInt32BE(0x7f454c46, 0);
+        buffer[5] = 1;
+        buffer.writeUInt16LE(machine, 18);
+        return buffer;
+      };
+
+      beforeEach(() => {
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = stats;
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.pathExists.withArgs(path.join('/my/Service/Path/.webpack/service', 'node_modules')).yields(null, true);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+        globbyMock.sync.withArgs(['node_modules/**/*.node']).returns([addonFile]);
+        fsExtraMock.readFile.withArgs(path.join('/my/Service/Path/.webpack/service', addonFile)).yields(null, elfBinary(62));
+      });
+
+      afterEach(() => {
+        globbyMock.sync.reset();
+      });
+
+      it('should accept native addons that are built for the architecture of the function', () => {
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(globbyMock.sync).to.have.been.calledWith(['node_modules/**/*.node'], sinon.match({ cwd: '/my/Service/Path/.webpack/service' })),
+          expect(serverless.cli.log).to.not.have.been.calledWithMatch(/Native addon/)
+        ]));
+      });
+
+      it('should warn about native addons that are built for another architecture', () => {
+        module.entryFunctions = [
+          { funcName: 'func1', func: { architecture: 'arm64' } }
+        ];
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(serverless.cli.log).to.have.been.calledWith(
+          `WARNING: Native addon ${addonFile} is built for linux-x64, but function func1 runs on linux-arm64`
+        ));
+      });
+
+      it('should use the architecture of the provider', () => {
+        _.set(serverless, 'service.provider.architecture', 'arm64');
+        fsExtraMock.readFile.withArgs(path.join('/my/Service/Path/.webpack/service', addonFile)).yields(null, elfBinary(183));
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(serverless.cli.log).to.not.have.been.calledWithMatch(/Native addon/));
+      });
+
+      it('should fail for native addons of another platform if enabled', () => {
+        const machOBinary = Buffer.alloc(64);
+        machOBinary.writeUInt32LE(0xfeedfacf, 0);
+        machOBinary.writeUInt32LE(0x100000c, 4);
+        fsExtraMock.readFile.withArgs(path.join('/my/Service/Path/.webpack/service', addonFile)).yields(null, machOBinary);
+        _.set(serverless, 'service.custom.webpackIncludeModules.nativeAddons', 'fail');
+        return expect(module.packExternalModules()).to.be.rejectedWith(
+          `Native addons do not match the platform of the functions:\n  - ${addonFile} is built for darwin-arm64, but function test-service runs on linux-x64`
+        );
+      });
+
+      it('should not check native addons if disabled', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.nativeAddons', false);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(globbyMock.sync).to.not.have.been.calledWith(['node_modules/**/*.node']));
+      });
+
+      it('should reject an unknown setting', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.nativeAddons', 'ignore');
+        return expect(module.packExternalModules()).to.be.rejectedWith('Unknown nativeAddons setting \'ignore\'. Use \'warn\', \'fail\' or false.');
+      });
+    });
+
+    describe('architectures', () => {
+      const functionStats = outputPath => ({
+        compilation: {
+          chunks: stats.stats[0].compilation.chunks,
+          compiler: {
+            outputPath
+          }
+        }
+      });
+      const multiStats = {
+        stats: [
+          functionStats('/my/Service/Path/.webpack/func1'),
+          functionStats('/my/Service/Path/.webpack/func2')
+        ]
+      };
+
+      beforeEach(() => {
+        sandbox.stub(process, 'platform').value('linux');
+        sandbox.stub(process, 'arch').value('x64');
+        module.webpackOutputPath = 'outputPath';
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        fsExtraMock.move.yields();
+        childProcessMock.exec.yields(null, '{}', '');
+      });
+
+      it('should install the modules for the architecture of the functions', () => {
+        _.set(serverless, 'service.provider.architecture', 'arm64');
+        module.compileStats = stats;
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(childProcessMock.exec).to.have.been.calledTwice,
+          expect(childProcessMock.exec.secondCall).to.have.been.calledWith('npm install --os=linux --cpu=arm64'),
+          expect(fsExtraMock.move).to.not.have.been.called,
+          expect(fsExtraMock.copy).to.have.been.calledWith(
+            path.join('outputPath', 'dependencies', 'node_modules', 'uuid'),
+            path.join('/my/Service/Path/.webpack/service', 'node_modules', 'uuid')
+          )
+        ]));
+      });
+
+      it('should install the modules separately for each architecture', () => {
+        module.entryFunctions = [
+          { funcName: 'func1', func: { architecture: 'x86_64' } },
+          { funcName: 'func2', func: { architecture: 'arm64' } }
+        ];
+        module.compileStats = multiStats;
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(childProcessMock.exec).to.have.been.calledThrice,
+          expect(childProcessMock.exec.secondCall).to.have.been.calledWith('npm install'),
+          expect(childProcessMock.exec.thirdCall).to.have.been.calledWith('npm install --os=linux --cpu=arm64'),
+          expect(fsExtraMock.move).to.have.been.calledWith(
+            path.join('outputPath', 'dependencies', 'node_modules'),
+            path.join('outputPath', 'dependencies', 'archs', 'x64', 'node_modules')
+          ),
+          expect(fsExtraMock.move).to.have.been.calledWith(
+            path.join('outputPath', 'dependencies', 'node_modules'),
+            path.join('outputPath', 'dependencies', 'archs', 'arm64', 'node_modules')
+          ),
+          expect(fsExtraMock.copy).to.have.been.calledWith(
+            path.join('outputPath', 'dependencies', 'archs', 'x64', 'node_modules', 'uuid'),
+            path.join('/my/Service/Path/.webpack/func1', 'node_modules', 'uuid')
+          ),
+          expect(fsExtraMock.copy).to.have.been.calledWith(
+            path.join('outputPath', 'dependencies', 'archs', 'arm64', 'node_modules', 'uuid'),
+            path.join('/my/Service/Path/.webpack/func2', 'node_modules', 'uuid')
+          )
+        ]));
+      });
+
+      it('should copy the modules of all architectures if the service is packaged as a whole', () => {
+        _.set(serverless, 'service.functions', {
+          func1: { handler: 'handler1.hello' },
+          func2: { handler: 'handler2.hello', architecture: 'arm64' }
+        });
+        module.compileStats = stats;
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(childProcessMock.exec).to.have.been.calledThrice,
+          expect(fsExtraMock.copy).to.have.been.calledWith(
+            path.join('outputPath', 'dependencies', 'archs', 'x64', 'node_modules', 'uuid'),
+            path.join('/my/Service/Path/.webpack/service', 'node_modules', 'uuid')
+          ),
+          // Modules are copied only once
+          expect(fsExtraMock.copy).to.not.have.been.calledWith(
+            path.join('outputPath', 'dependencies', 'archs', 'arm64', 'node_modules', 'uuid')
+          )
+        ]));
+      });
+    });
+
+    describe('slim', () => {
+      beforeEach(() => {
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = stats;
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        fsExtraMock.stat.yields(null, { size: 1000 });
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+        globbyMock.sync.withArgs(sinon.match.array.contains(['**/*.d.ts'])).returns([ 'README.md', 'index.d.ts' ]);
+      });
+
+      afterEach(() => {
+        fsExtraMock.stat.reset();
+      });
+
+      it('should not slim the modules by default', () => {
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(globbyMock.sync).to.not.have.been.calledWith(sinon.match.array.contains(['**/*.d.ts'])),
+          expect(fsExtraMock.remove).to.not.have.been.calledWith(sinon.match(/index\.d\.ts$/)),
+          expect(serverless.cli.log).to.not.have.been.calledWithMatch(/Slimmed/)
+        ]));
+      });
+
+      it('should remove the files of the default patterns and log the saved bytes', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.slim', true);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(globbyMock.sync).to.have.been.calledWith(
+            sinon.match.array.contains([ '**/*.md', '**/test/**' ]),
+            sinon.match({ cwd: path.join('/my/Service/Path/.webpack/service', 'node_modules', 'uuid') })
+          ),
+          expect(fsExtraMock.remove).to.have.been.calledWith(path.join('/my/Service/Path/.webpack/service', 'node_modules', 'uuid', 'index.d.ts')),
+          // 2 files of each of the 3 modules
+          expect(serverless.cli.log).to.have.been.calledWith('Slimmed external modules of function test-service: Removed 6 files, saved 6000 bytes')
+        ]));
+      });
+
+      it('should add the configured patterns', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.slim', { patterns: [ '**/*.txt', '!**/README.md' ] });
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(globbyMock.sync).to.have.been.calledWith(
+          sinon.match(patterns => _.includes(patterns, '**/*.d.ts') && _.takeRight(patterns, 2)[0] === '**/*.txt' && _.last(patterns) === '!**/README.md')
+        ));
+      });
+
+      it('should only use the configured patterns without defaults', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.slim', { defaults: false, patterns: ['**/*.txt'] });
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(globbyMock.sync).to.have.been.calledWith(['**/*.txt']));
+      });
+    });
+
+    describe('dynamic requires', () => {
+      const getCompositeDependencies = () => JSON.parse(writeFileSyncStub.firstCall.args[1]).dependencies;
+
+      beforeEach(() => {
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = stats;
+        module.dynamicRequires = [[
+          { issuer: 'handler.js', request: 'pg' },
+          { issuer: 'handler.js', request: 'bluebird/js/' },
+          { issuer: 'lib/loader.js', request: './plugins/' }
+        ]];
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+      });
+
+      it('should suggest the matching dependencies that are not packaged', () => {
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(getCompositeDependencies()).to.not.have.property('pg'),
+          expect(serverless.cli.log).to.have.been.calledWith(
+            'WARNING: Dynamic requires of function test-service may load modules that are not packaged: pg. ' +
+            'Add them to forceInclude or set webpackIncludeModules.dynamicRequires to include.'
+          ),
+          expect(serverless.cli.log).to.have.been.calledWith(
+            'WARNING: lib/loader.js of function test-service requires modules dynamically. Add the modules that it loads to forceInclude.'
+          )
+        ]));
+      });
+
+      it('should include the matching dependencies if enabled', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.dynamicRequires', 'include');
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(getCompositeDependencies()).to.have.property('pg', '^4.3.5'),
+          expect(serverless.cli.log).to.have.been.calledWith('Including dynamically required modules in function test-service: pg')
+        ]));
+      });
+
+      it('should not suggest excluded modules', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.forceExclude', ['pg']);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(serverless.cli.log).to.not.have.been.calledWithMatch(/Dynamic requires/));
+      });
+
+      it('should ignore dynamic requires if disabled', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.dynamicRequires', false);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(serverless.cli.log).to.not.have.been.calledWithMatch(/dynamic/i));
+      });
+
+      it('should reject unknown settings', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.dynamicRequires', 'always');
+        return expect(module.packExternalModules()).to.be.rejectedWith("Unknown dynamicRequires setting 'always'. Use 'suggest', 'include' or false.");
+      });
+    });
+
+    describe('unused dependencies', () => {
+      const unusedWarning = 'WARNING: Dependencies that are not used by any function: ' +
+        'archiver, fs-extra, globby, npm-programmatic, ts-node, pg. ' +
+        'Remove them from the dependencies section or set webpackIncludeModules.unusedDependencies to false.';
+      const bundledStats = {
+        stats: [
+          {
+            compilation: {
+              chunks: [
+                new ChunkMock([
+                  {
+                    identifier: _.constant('external "uuid/v4"')
+                  },
+                  {
+                    identifier: _.constant('external "@scoped/vendor/module2"')
+                  },
+                  {
+                    identifier: _.constant('external "bluebird"')
+                  },
+                  {
+                    identifier: _.constant('/my/Service/Path/node_modules/lodash/index.js'),
+                    resource: '/my/Service/Path/node_modules/lodash/index.js'
+                  }
+                ])
+              ],
+              compiler: {
+                outputPath: '/my/Service/Path/.webpack/service'
+              }
+            }
+          }
+        ]
+      };
+
+      beforeEach(() => {
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = bundledStats;
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+      });
+
+      it('should report the dependencies that no function bundles or references', () => {
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(serverless.cli.log).to.have.been.calledWith(unusedWarning));
+      });
+
+      it('should count forcibly included modules as used', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.forceInclude', [ 'archiver', 'fs-extra', 'globby', 'npm-programmatic', 'ts-node', 'pg' ]);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(serverless.cli.log).to.not.have.been.calledWithMatch(/not used by any function/));
+      });
+
+      it('should fail for unused dependencies if enabled', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.unusedDependencies', 'fail');
+        return expect(module.packExternalModules()).to.be.rejectedWith(
+          /are not used by any function:\n {2}- archiver\n(.|\n)*\n {2}- pg\nRemove them/
+        )
+        .then(() => expect(childProcessMock.exec).to.not.have.been.calledWithMatch(/install/));
+      });
+
+      it('should not report unused dependencies when compiling a single function', () => {
+        module.options.function = 'func1';
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(serverless.cli.log).to.not.have.been.calledWithMatch(/not used by any function/));
+      });
+
+      it('should not report unused dependencies if disabled', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.unusedDependencies', false);
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(serverless.cli.log).to.not.have.been.calledWithMatch(/not used by any function/));
+      });
+
+      it('should reject unknown settings', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.unusedDependencies', 'error');
+        return expect(module.packExternalModules()).to.be.rejectedWith("Unknown unusedDependencies setting 'error'. Use 'warn', 'fail' or false.");
+      });
+    });
+
+    describe('optional dependencies', () => {
+      const optionalPackageJson = {
+        dependencies: {
+          uuid: '^5.4.1'
+        },
+        optionalDependencies: {
+          bufferutil: '^4.0.8',
+          'utf-8-validate': '^6.0.3'
+        }
+      };
+      const optionalStats = {
+        stats: [
+          {
+            compilation: {
+              chunks: [
+                new ChunkMock([
+                  {
+                    identifier: _.constant('external "uuid/v4"')
+                  },
+                  {
+                    identifier: _.constant('external "bufferutil"'),
+                    issuer: {
+                      rawRequest: './handler.js',
+                      resource: '/my/Service/Path/handler.js'
+                    }
+                  },
+                  {
+                    identifier: _.constant('external "utf-8-validate"')
+                  }
+                ])
+              ],
+              compiler: {
+                outputPath: '/my/Service/Path/.webpack/service'
+              }
+            }
+          }
+        ]
+      };
+      const writtenPackageJson = packageJsonPath => JSON.parse(_.find(writeFileSyncStub.args, [ 0, packageJsonPath ])[1]);
+
+      before(() => {
+        mockery.deregisterMock(path.join(process.cwd(), 'package.json'));
+        mockery.registerMock(path.join(process.cwd(), 'package.json'), optionalPackageJson);
+      });
+
+      after(() => {
+        mockery.deregisterMock(path.join(process.cwd(), 'package.json'));
+        mockery.registerMock(path.join(process.cwd(), 'package.json'), packageMock);
+      });
+
+      beforeEach(() => {
+        module.webpackOutputPath = 'outputPath';
+        module.compileStats = optionalStats;
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, '{}', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+      });
+
+      it('should add installed optional modules as optional dependencies', () => {
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(writtenPackageJson(path.join('outputPath', 'dependencies', 'package.json'))).to.deep.include({
+            dependencies: { uuid: '^5.4.1' },
+            optionalDependencies: { bufferutil: '^4.0.8', 'utf-8-validate': '^6.0.3' }
+          }),
+          expect(writtenPackageJson(path.join('/my/Service/Path/.webpack/service', 'package.json'))).to.deep.equal({
+            dependencies: { uuid: '^5.4.1' },
+            optionalDependencies: { bufferutil: '^4.0.8', 'utf-8-validate': '^6.0.3' }
+          }),
+          expect(fsExtraMock.copy).to.have.been.calledWith(
+            path.join('outputPath', 'dependencies', 'node_modules', 'bufferutil'),
+            path.join('/my/Service/Path/.webpack/service', 'node_modules', 'bufferutil')
+          )
+        ]));
+      });
+
+      it('should skip optional modules that are not installed', () => {
+        fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+          return _.includes(_.split(packageJsonPath, path.sep), 'node_modules') && !_.includes(packageJsonPath, 'bufferutil') ? {} : null;
+        });
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(writtenPackageJson(path.join('outputPath', 'dependencies', 'package.json')).optionalDependencies).to.deep.equal({
+            'utf-8-validate': '^6.0.3'
+          }),
+          expect(serverless.cli.log).to.have.been.calledWith('Skipping optional module bufferutil, it is not installed')
+        ]));
+      });
+
+      it('should not fail if an optional module could not be installed for the functions', () => {
+        fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+          const isInstalled = !_.startsWith(packageJsonPath, path.join('outputPath', 'dependencies', 'node_modules', 'bufferutil'));
+          return _.includes(_.split(packageJsonPath, path.sep), 'node_modules') && isInstalled ? {} : null;
+        });
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => expect(fsExtraMock.copy).to.not.have.been.calledWith(path.join('outputPath', 'dependencies', 'node_modules', 'bufferutil')));
+      });
+
+      it('should accept optional modules in strict mode', () => {
+        _.set(serverless, 'service.custom.webpackIncludeModules.strict', true);
+        return expect(module.packExternalModules()).to.be.fulfilled;
+      });
+    });
+
+    describe('peer dependencies', () => {
+      before(() => {
+        const peerDepPackageJson = require('./data/package-peerdeps.json');
+        mockery.deregisterMock(path.join(process.cwd(), 'package.json'));
+        mockery.registerMock(path.join(process.cwd(), 'package.json'), peerDepPackageJson);
+        // Mock request-promise package.json
+        const rpPackageJson = require('./data/rp-package.json');
+        const rpPackagePath = path.join(
+          process.cwd(),
+          'node_modules',
+          'request-promise',
+          'package.json'
+        );
+        mockery.registerMock(rpPackagePath, rpPackageJson);
+      });
+
+      after(() => {
+        mockery.deregisterMock(path.join(process.cwd(), 'package.json'));
+        mockery.registerMock(path.join(process.cwd(), 'package.json'), packageMock);
+        const rpPackagePath = path.join(
+          process.cwd(),
+          'node_modules',
+          'request-promise',
+          'package.json'
+        );
+        mockery.deregisterMock(rpPackagePath);
+      });
+
+      it('should install external peer dependencies', () => {
+        const expectedCompositePackageJSON = {
+          name: 'test-service',
+          version: '1.0.0',
+          description: 'Packaged externals for test-service',
+          private: true,
+          dependencies: {
+            bluebird: '^3.5.0',
+            'request-promise': '^4.2.1',
+            request: '^2.82.0'
+          }
+        };
+        const expectedPackageJSON = {
+          dependencies: {
+            bluebird: '^3.5.0',
+            'request-promise': '^4.2.1',
+            request: '^2.82.0'
+          }
+        };
+
+        const dependencyGraph = require('./data/npm-ls-peerdeps.json');
+        const peerDepStats = {
+          stats: [
+            {
+              compilation: {
+                chunks: [
+                  new ChunkMock([
+                    {
+                      identifier: _.constant('"crypto"')
+                    },
+                    {
+                      identifier: _.constant('"uuid/v4"')
+                    },
+                    {
+                      identifier: _.constant('"mockery"')
+                    },
+                    {
+                      identifier: _.constant('"@scoped/vendor/module1"')
+                    },
+                    {
+                      identifier: _.constant('external "bluebird"')
+                    },
+                    {
+                      identifier: _.constant('external "request-promise"')
+                    }
+                  ])
+                ],
+                compiler: {
+                  outputPath: '/my/Service/Path/.webpack/service'
+                }
+              }
+            }
+          ]
+        };
+
+        module.webpackOutputPath = 'outputPath';
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
         childProcessMock.exec.onFirstCall().yields(null, JSON.stringify(dependencyGraph), '');
         childProcessMock.exec.onSecondCall().yields(null, '', '');
-        childProcessMock.exec.onThirdCall().yields();
         module.compileStats = peerDepStats;
         return expect(module.packExternalModules()).to.be.fulfilled
         .then(() => BbPromise.all([
@@ -911,20 +2552,166 @@ describe('packExternalModules', () => {
           expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
           expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
           // The modules should have been copied
-          expect(fsExtraMock.copy).to.have.been.calledOnce,
-          // npm ls and npm prune should have been called
-          expect(childProcessMock.exec).to.have.been.calledThrice,
+          expect(fsExtraMock.copy).to.have.been.calledThrice,
+          // npm ls and npm install should have been called
+          expect(childProcessMock.exec).to.have.been.calledTwice,
           expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
             'npm ls -prod -json -depth=1'
           ),
           expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
             'npm install'
+          )
+        ]));
+      });
+    });
+
+    describe('workspaces', () => {
+      const workspaceRoot = path.join('/my', 'Workspace');
+      const servicePath = path.join(workspaceRoot, 'packages', 'service');
+      const installedPackages = {
+        '': { name: 'workspace', workspaces: ['packages/*'] },
+        'packages/service': { name: 'service' },
+        'packages/service/node_modules/uuid': { name: 'uuid', version: '5.4.1' },
+        'packages/utils': { name: 'utils', version: '1.0.0', dependencies: { 'left-pad': '^1.0.0' } },
+        'node_modules/utils': { name: 'utils', version: '1.0.0', dependencies: { 'left-pad': '^1.0.0' } },
+        'node_modules/left-pad': { name: 'left-pad', version: '1.3.0' },
+        'node_modules/uuid': { name: 'uuid', version: '3.0.0' }
+      };
+      const servicePackageJson = {
+        name: 'service',
+        dependencies: {
+          utils: '^1.0.0',
+          uuid: '^5.4.1'
+        }
+      };
+      const workspaceStats = {
+        stats: [
+          {
+            compilation: {
+              chunks: [
+                new ChunkMock([
+                  {
+                    identifier: _.constant('external "utils"')
+                  },
+                  {
+                    identifier: _.constant('external "uuid/v4"')
+                  },
+                  {
+                    identifier: _.constant('external "left-pad"'),
+                    issuer: {
+                      rawRequest: 'utils'
+                    }
+                  }
+                ])
+              ],
+              compiler: {
+                outputPath: path.join(servicePath, '.webpack', 'service')
+              }
+            }
+          }
+        ]
+      };
+
+      beforeEach(() => {
+        sandbox.stub(process, 'cwd').returns(servicePath);
+        mockery.registerMock(path.join(servicePath, 'package.json'), servicePackageJson);
+        mockery.registerMock(path.join(servicePath, 'node_modules', 'uuid', 'package.json'), installedPackages['packages/service/node_modules/uuid']);
+        mockery.registerMock(path.join(workspaceRoot, 'node_modules', 'utils', 'package.json'), installedPackages['node_modules/utils']);
+        fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+          const packageDir = _.replace(path.relative(workspaceRoot, path.dirname(packageJsonPath)), /\\/g, '/');
+          if (_.startsWith(packageDir, '..')) {
+            return null;
+          }
+          // All modules of the dependency installation are installed without any further dependencies
+          return _.startsWith(packageDir, 'packages/service/outputPath') ? {} : _.get(installedPackages, [packageDir], null);
+        });
+        globbyMock.sync.returns([ 'packages/service/package.json', 'packages/utils/package.json' ]);
+      });
+
+      afterEach(() => {
+        mockery.deregisterMock(path.join(servicePath, 'package.json'));
+        mockery.deregisterMock(path.join(servicePath, 'node_modules', 'uuid', 'package.json'));
+        mockery.deregisterMock(path.join(workspaceRoot, 'node_modules', 'utils', 'package.json'));
+        globbyMock.sync.reset();
+      });
+
+      it('should resolve installed modules up to the workspace root and pack sibling packages', () => {
+        const expectedCompositePackageJSON = {
+          name: 'test-service',
+          version: '1.0.0',
+          description: 'Packaged externals for test-service',
+          private: true,
+          dependencies: {
+            utils: 'file:local/utils-1.0.0.tgz',
+            uuid: '^5.4.1',
+            'left-pad': '1.3.0'
+          }
+        };
+        const expectedPackageJSON = {
+          dependencies: {
+            utils: 'file:../../outputPath/dependencies/local/utils-1.0.0.tgz',
+            uuid: '^5.4.1',
+            'left-pad': '1.3.0'
+          }
+        };
+
+        module.webpackOutputPath = 'outputPath';
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, 'utils-1.0.0.tgz\n', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+        module.compileStats = workspaceStats;
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(globbyMock.sync).to.have.been.calledWith(sinon.match.array.contains(['packages/*/package.json']), sinon.match({ cwd: workspaceRoot })),
+          expect(writeFileSyncStub).to.have.been.calledTwice,
+          expect(writeFileSyncStub.firstCall.args[1]).to.equal(JSON.stringify(expectedCompositePackageJSON, null, 2)),
+          expect(writeFileSyncStub.secondCall.args[1]).to.equal(JSON.stringify(expectedPackageJSON, null, 2)),
+          // The peer dependencies have been checked in the nested and hoisted modules
+          expect(serverless.cli.log).to.not.have.been.calledWith(sinon.match(/^WARNING/)),
+          // The sibling package is packed instead of listing the dependencies with npm
+          expect(childProcessMock.exec).to.have.been.calledTwice,
+          expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
+            `npm pack "${path.join(workspaceRoot, 'packages', 'utils')}"`
           ),
-          expect(childProcessMock.exec.thirdCall).to.have.been.calledWith(
-            'npm prune'
+          expect(childProcessMock.exec.secondCall).to.have.been.calledWith(
+            'npm install'
           )
         ]));
       });
+
+      it('should lock the modules with the package lock of the workspace root', () => {
+        const packageLock = {
+          lockfileVersion: 3,
+          packages: _.assign(_.mapValues(installedPackages, installedPackage => _.omit(installedPackage, 'name')), {
+            'node_modules/service': { resolved: 'packages/service', link: true },
+            'node_modules/utils': { resolved: 'packages/utils', link: true }
+          })
+        };
+
+          module.webpackOutputPath = 'outputPath';
+        readFileSyncStub.withArgs(path.join(workspaceRoot, 'package-lock.json')).returns(packageLock);
+        fsExtraMock.pathExists.yields(null, false);
+        fsExtraMock.pathExists.withArgs(path.join(workspaceRoot, 'package-lock.json')).yields(null, true);
+        fsExtraMock.pathExists.withArgs(path.join('outputPath', 'dependencies', 'package-lock.json')).yields(null, true);
+        fsExtraMock.copy.yields();
+        childProcessMock.exec.onFirstCall().yields(null, 'utils-1.0.0.tgz\n', '');
+        childProcessMock.exec.onSecondCall().yields(null, '', '');
+        module.compileStats = workspaceStats;
+        return expect(module.packExternalModules()).to.be.fulfilled
+        .then(() => {
+          const prunedPackages = JSON.parse(writeFileSyncStub.secondCall.args[1]).packages;
+          return BbPromise.all([
+            expect(writeFileSyncStub.secondCall.args[0]).to.equal(path.join('outputPath', 'dependencies', 'package-lock.json')),
+            expect(prunedPackages).to.have.all.keys('', 'node_modules/utils', 'node_modules/uuid', 'node_modules/left-pad'),
+            // The sibling package is locked with its tarball
+            expect(prunedPackages['node_modules/utils']).to.include({ version: '1.0.0', resolved: 'file:local/utils-1.0.0.tgz' }),
+            // The module installed within the service takes precedence over the hoisted one
+            expect(prunedPackages['node_modules/uuid']).to.deep.equal({ version: '5.4.1' }),
+            expect(childProcessMock.exec.secondCall).to.have.been.calledWith('npm ci')
+          ]);
+        });
+      });
     });
   });
 });
@@ -441,6 +441,55 @@ describe('packageModules', () => {
           expect(func2).to.have.a.nested.property('package.artifact').that.equals(path.join('.serverless', 'func2.zip')),
         ]));
       });
+
+      it('should package the shared layer and reference it from the functions', () => {
+        const layerFunc1 = { handler: 'src/handler1', layers: ['arn:aws:lambda:us-east-1:123456789012:layer:vendor:3'] };
+        const layerFunc2 = { handler: 'src/handler2' };
+        // Serverless behavior
+        sandbox.stub(serverless.config, 'servicePath').value('/my/Service/Path');
+        _.set(serverless.service, 'provider.layers', [{ Ref: 'CommonLambdaLayer' }]);
+        _.set(serverless.service, 'layers', { common: { path: 'layers/common' } });
+        getVersionStub.returns('1.18.0');
+        getServiceObjectStub.returns({
+          name: 'test-service'
+        });
+        getFunctionStub.withArgs('func1').returns(layerFunc1);
+        getFunctionStub.withArgs('func2').returns(layerFunc2);
+        // Mock behavior
+        globbyMock.sync.returns(files);
+        fsMock._streamMock.on.withArgs('open').yields();
+        fsMock._streamMock.on.withArgs('close').yields();
+        fsMock._statMock.isDirectory.returns(false);
+
+        module.compileStats = stats;
+        module.sharedLayer = {
+          name: 'externalModules',
+          logicalId: 'ExternalModulesLambdaLayer',
+          path: '/my/Service/Path/.webpack/sharedLayer',
+          functions: [ 'func1', 'func2' ]
+        };
+        return expect(module.packageModules()).to.be.fulfilled
+        .then(() => BbPromise.all([
+          expect(globbyMock.sync).to.have.been.calledWith(sinon.match.any, sinon.match({ cwd: '/my/Service/Path/.webpack/sharedLayer' })),
+          expect(serverless.service.layers).to.deep.equal({
+            common: { path: 'layers/common' },
+            externalModules: {
+              description: 'External modules shared by the functions of test-service',
+              package: {
+                artifact: path.join('.serverless', 'externalModules.zip')
+              }
+            }
+          }),
+          expect(layerFunc1.layers).to.deep.equal([
+            'arn:aws:lambda:us-east-1:123456789012:layer:vendor:3',
+            { Ref: 'ExternalModulesLambdaLayer' }
+          ]),
+          expect(layerFunc2.layers).to.deep.equal([
+            { Ref: 'CommonLambdaLayer' },
+            { Ref: 'ExternalModulesLambdaLayer' }
+          ])
+        ]));
+      });
     });
   });
 });
@@ -0,0 +1,116 @@
+'use strict';
+
+const BbPromise = require('bluebird');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const fsExtraMockFactory = require('./mocks/fs-extra.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('packagerConfig', () => {
+  let sandbox;
+  let packagerConfig;
+
+  // Mocks
+  let fsExtraMock;
+
+  const packageRoot = path.join('/my', 'Service', 'Path');
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('fs-extra', fsExtraMock);
+    packagerConfig = require('../lib/packagerConfig');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  beforeEach(() => {
+    sinon.stub(os, 'homedir').returns(path.join('/my'));
+    fsExtraMock.pathExists.yields(null, false);
+    fsExtraMock.writeFile.yields();
+    fsExtraMock.remove.yields();
+  });
+
+  afterEach(() => {
+    os.homedir.restore();
+    sandbox.reset();
+  });
+
+  describe('findFiles()', () => {
+    it('should find the configuration files from the outermost to the innermost directory', () => {
+      fsExtraMock.pathExists.withArgs(path.join('/', '.npmrc')).yields(null, true);
+      fsExtraMock.pathExists.withArgs(path.join(packageRoot, '.npmrc')).yields(null, true);
+      fsExtraMock.pathExists.withArgs(path.join(packageRoot, '.yarnrc')).yields(null, true);
+      return expect(packagerConfig.findFiles(packageRoot, [ '.npmrc', '.yarnrc', '.missingrc' ])).to.become({
+        '.npmrc': [
+          path.join('/', '.npmrc'),
+          path.join(packageRoot, '.npmrc')
+        ],
+        '.yarnrc': [
+          path.join(packageRoot, '.yarnrc')
+        ]
+      });
+    });
+
+    it('should skip the user configuration in the home directory', () => {
+      fsExtraMock.pathExists.yields(null, true);
+      return expect(packagerConfig.findFiles(packageRoot, [ '.npmrc' ])).to.become({
+        '.npmrc': [
+          path.join('/', '.npmrc'),
+          path.join('/my', 'Service', '.npmrc'),
+          path.join(packageRoot, '.npmrc')
+        ]
+      });
+    });
+
+    it('should resolve with an empty object if the packager has no configuration files', () => {
+      return expect(packagerConfig.findFiles(packageRoot, [])).to.become({})
+      .then(() => expect(fsExtraMock.pathExists).to.not.have.been.called);
+    });
+  });
+
+  describe('writeFiles()', () => {
+    it('should merge the files into the target directory and restrict the access', () => {
+      fsExtraMock.readFile.withArgs(path.join('/', '.npmrc')).yields(null, 'save-exact=true');
+      fsExtraMock.readFile.withArgs(path.join(packageRoot, '.npmrc')).yields(null, '@company:registry=https://npm.company.com/');
+      const configFiles = {
+        '.npmrc': [
+          path.join('/', '.npmrc'),
+          path.join(packageRoot, '.npmrc')
+        ]
+      };
+      return expect(packagerConfig.writeFiles(configFiles, 'targetDir')).to.become([ path.join('targetDir', '.npmrc') ])
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.writeFile).to.have.been.calledOnce,
+        expect(fsExtraMock.writeFile).to.have.been.calledWith(
+          path.join('targetDir', '.npmrc'),
+          'save-exact=true\n@company:registry=https://npm.company.com/',
+          { mode: 0o600 }
+        )
+      ]));
+    });
+  });
+
+  describe('removeFiles()', () => {
+    it('should remove the written files', () => {
+      return expect(packagerConfig.removeFiles([ path.join('targetDir', '.npmrc') ])).to.be.fulfilled
+      .then(() => expect(fsExtraMock.remove).to.have.been.calledWith(path.join('targetDir', '.npmrc')));
+    });
+  });
+});
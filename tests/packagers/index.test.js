@@ -0,0 +1,102 @@
+'use strict';
+/**
+ * Unit tests for packagers/index
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+const Serverless = require('serverless');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('packagers factory', () => {
+  let sandbox;
+  let serverless;
+  let npmMock;
+  let offlineMock;
+  let pnpmMock;
+  let yarnMock;
+  let baseModule;
+  let module;
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    npmMock = {
+      lockfileName: 'package-lock.json'
+    };
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    offlineMock = {
+      lockfileName: null
+    };
+
+    pnpmMock = {
+      lockfileName: 'pnpm-lock.yaml'
+    };
+
+    yarnMock = {
+      lockfileName: 'yarn.lock'
+    };
+
+    mockery.registerMock('./npm', npmMock);
+    mockery.registerMock('./offline', offlineMock);
+    mockery.registerMock('./pnpm', pnpmMock);
+    mockery.registerMock('./yarn', yarnMock);
+    baseModule = require('../../lib/packagers/index');
+    Object.freeze(baseModule);
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  beforeEach(() => {
+    serverless = new Serverless();
+    serverless.cli = {
+      log: sandbox.stub(),
+      consoleLog: sandbox.stub()
+    };
+
+    module = _.assign({
+      serverless,
+      options: {
+        verbose: true
+      },
+    }, baseModule);
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+    sandbox.restore();
+  });
+
+  it('should reject for unknown packager', () => {
+    return expect(module.get('unknown')).to.be.rejectedWith("Could not find packager 'unknown'")
+    .then(() => expect(serverless.cli.log).to.have.been.calledWith("ERROR: Could not find packager 'unknown'"));
+  });
+
+  it('should return npm packager', () => {
+    return expect(module.get('npm')).to.eventually.equal(npmMock);
+  });
+
+  it('should return offline packager', () => {
+    return expect(module.get('offline')).to.eventually.equal(offlineMock);
+  });
+
+  it('should return pnpm packager', () => {
+    return expect(module.get('pnpm')).to.eventually.equal(pnpmMock);
+  });
+
+  it('should return yarn packager', () => {
+    return expect(module.get('yarn')).to.eventually.equal(yarnMock);
+  });
+});
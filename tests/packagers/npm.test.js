@@ -0,0 +1,720 @@
+'use strict';
+/**
+ * Unit tests for packagers/npm
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const childProcessMockFactory = require('../mocks/child_process.mock');
+const fsExtraMockFactory = require('../mocks/fs-extra.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('npm', () => {
+  let sandbox;
+  let npmModule;
+
+  // Mocks
+  let childProcessMock;
+  let fsExtraMock;
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    childProcessMock = childProcessMockFactory.create(sandbox);
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('child_process', childProcessMock);
+    mockery.registerMock('fs-extra', fsExtraMock);
+    npmModule = require('../../lib/packagers/npm');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  it('should return "package-lock.json" as lockfile name', () => {
+    expect(npmModule.lockfileName).to.equal('package-lock.json');
+  });
+
+  describe('install', () => {
+    beforeEach(() => {
+      fsExtraMock.pathExists.yields(null, false);
+    });
+
+    it('should use npm install', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(npmModule.install('myPath', { maxBuffer: 1000 })).to.be.fulfilled
+      .then(result => BbPromise.all([
+        expect(result).to.be.undefined,
+        expect(childProcessMock.exec).to.have.been.calledOnce,
+        expect(childProcessMock.exec).to.have.been.calledWith(
+          'npm install',
+          {
+            cwd: 'myPath',
+            encoding: 'utf8',
+            maxBuffer: 1000
+          }
+        )
+      ]));
+    });
+
+    it('should add the configured install flags', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      const options = { maxBuffer: 1000, ignoreScripts: true, production: true, args: [ '--no-audit', '--prefer-offline' ] };
+      return expect(npmModule.install('myPath', options)).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(childProcessMock.exec).to.have.been.calledOnce,
+        expect(childProcessMock.exec).to.have.been.calledWith('npm install --ignore-scripts --production --no-audit --prefer-offline')
+      ]));
+    });
+
+    it('should install the optional modules of another target platform', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(npmModule.install('myPath', { maxBuffer: 1000, os: 'linux', cpu: 'other' })).to.be.fulfilled
+      .then(() => expect(childProcessMock.exec).to.have.been.calledWith('npm install --os=linux --cpu=other'));
+    });
+
+    it('should not add platform flags for the platform of the build host', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(npmModule.install('myPath', { maxBuffer: 1000, os: process.platform, cpu: process.arch })).to.be.fulfilled
+      .then(() => expect(childProcessMock.exec).to.have.been.calledWith('npm install'));
+    });
+
+    it('should use npm ci if a lockfile exists', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      fsExtraMock.pathExists.yields(null, true);
+      return expect(npmModule.install('myPath', { maxBuffer: 1000 })).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.pathExists).to.have.been.calledWith(path.join('myPath', 'package-lock.json')),
+        expect(childProcessMock.exec).to.have.been.calledWith('npm ci')
+      ]));
+    });
+
+    it('should use npm install if no lockfile exists', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(npmModule.install('myPath', { maxBuffer: 1000 })).to.be.fulfilled
+      .then(() => expect(childProcessMock.exec).to.have.been.calledWith('npm install'));
+    });
+
+    it('should use npm install if npm ci is disabled', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      fsExtraMock.pathExists.yields(null, true);
+      return expect(npmModule.install('myPath', { maxBuffer: 1000, ci: false })).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.pathExists).to.not.have.been.called,
+        expect(childProcessMock.exec).to.have.been.calledWith('npm install')
+      ]));
+    });
+
+    it('should only run the install scripts of allowed modules', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(npmModule.install('myPath', { maxBuffer: 1000, allowScripts: [ 'sharp', '@scoped/native' ] })).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(childProcessMock.exec).to.have.been.calledTwice,
+        expect(childProcessMock.exec.firstCall).to.have.been.calledWith('npm install --ignore-scripts'),
+        expect(childProcessMock.exec.secondCall).to.have.been.calledWith('npm rebuild sharp @scoped/native')
+      ]));
+    });
+  });
+
+  describe('getProdDependencies', () => {
+    it('should use npm ls if there is no package lock', () => {
+      childProcessMock.exec.yields(null, '{}', '');
+      return expect(npmModule.getProdDependencies('myPath', 10, { maxBuffer: 1000 })).to.be.fulfilled
+      .then(result => BbPromise.all([
+        expect(result).to.deep.equal({}),
+        expect(childProcessMock.exec).to.have.been.calledOnce,
+        expect(childProcessMock.exec).to.have.been.calledWith(
+          'npm ls -prod -json -depth=10',
+          {
+            cwd: 'myPath',
+            encoding: 'utf8',
+            maxBuffer: 1000
+          }
+        )
+      ]));
+    });
+
+    it('should default to depth 1', () => {
+      childProcessMock.exec.yields(null, '{}', '');
+      return expect(npmModule.getProdDependencies('myPath', undefined, { maxBuffer: 1000 })).to.be.fulfilled
+      .then(() => expect(childProcessMock.exec).to.have.been.calledWith('npm ls -prod -json -depth=1'));
+    });
+
+    it('should read the complete graph from a version 1 package lock', () => {
+      const lockfile = {
+        lockfileVersion: 1,
+        dependencies: {
+          bluebird: {
+            version: '3.5.1'
+          },
+          request: {
+            version: '2.83.0',
+            requires: {
+              'aws-sign2': '~0.7.0',
+              uuid: '^3.1.0'
+            },
+            dependencies: {
+              uuid: {
+                version: '3.1.0',
+                dependencies: {
+                  nested: {
+                    version: '1.0.0'
+                  }
+                }
+              }
+            }
+          },
+          'aws-sign2': {
+            version: '0.7.0'
+          },
+          mocha: {
+            version: '4.0.1',
+            dev: true
+          }
+        }
+      };
+      const expectedResult = {
+        problems: [],
+        dependencies: {
+          bluebird: {
+            version: '3.5.1',
+            dependencies: {}
+          },
+          request: {
+            version: '2.83.0',
+            dependencies: {
+              uuid: {
+                version: '3.1.0',
+                dependencies: {
+                  nested: {
+                    version: '1.0.0',
+                    dependencies: {}
+                  }
+                }
+              }
+            }
+          },
+          'aws-sign2': {
+            version: '0.7.0',
+            dependencies: {}
+          }
+        }
+      };
+      fsExtraMock.readJsonSync.returns(lockfile);
+      return expect(npmModule.getProdDependencies('myPath', 1, {})).to.eventually.deep.equal(expectedResult)
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.readJsonSync).to.have.been.calledWith(path.join('myPath', 'package-lock.json')),
+        expect(childProcessMock.exec).to.not.have.been.called
+      ]));
+    });
+
+    it('should read the complete graph from a version 2 package lock', () => {
+      const lockfile = {
+        lockfileVersion: 2,
+        packages: {
+          '': {
+            name: 'test-service',
+            dependencies: {
+              request: '^2.83.0'
+            }
+          },
+          'node_modules/request': {
+            version: '2.83.0'
+          },
+          'node_modules/request/node_modules/uuid': {
+            version: '3.1.0'
+          },
+          'node_modules/@scoped/vendor': {
+            version: '1.0.0'
+          },
+          'node_modules/@scoped/vendor/node_modules/@scoped/nested': {
+            version: '2.0.0'
+          },
+          'node_modules/localmodule': {
+            resolved: '../mymodule',
+            link: true
+          },
+          'node_modules/mocha': {
+            version: '4.0.1',
+            dev: true
+          },
+          'node_modules/mocha/node_modules/debug': {
+            version: '3.1.0',
+            dev: true
+          }
+        },
+        dependencies: {}
+      };
+      const expectedResult = {
+        problems: [],
+        dependencies: {
+          request: {
+            version: '2.83.0',
+            dependencies: {
+              uuid: {
+                version: '3.1.0',
+                dependencies: {}
+              }
+            }
+          },
+          '@scoped/vendor': {
+            version: '1.0.0',
+            dependencies: {
+              '@scoped/nested': {
+                version: '2.0.0',
+                dependencies: {}
+              }
+            }
+          },
+          localmodule: {
+            version: 'file:../mymodule',
+            dependencies: {}
+          }
+        }
+      };
+      fsExtraMock.readJsonSync.returns(lockfile);
+      return expect(npmModule.getProdDependencies('myPath', 1, {})).to.eventually.deep.equal(expectedResult)
+      .then(() => expect(childProcessMock.exec).to.not.have.been.called);
+    });
+
+    it('should reject if npm returns critical and minor errors', () => {
+      const stderr = 'ENOENT: No such file\nnpm ERR! extraneous: sinon@2.3.8 ./babel-dynamically-entries/node_modules/serverless-webpack/node_modules/sinon\n\n';
+      childProcessMock.exec.yields(new Error('something went wrong'), '{}', stderr);
+      return expect(npmModule.getProdDependencies('myPath', 1, {})).to.be.rejectedWith('something went wrong');
+    });
+
+    it('should ignore minor local NPM errors', () => {
+      const stderr = _.join(
+        [
+          'npm ERR! extraneous: sinon@2.3.8 ./babel-dynamically-entries/node_modules/serverless-webpack/node_modules/sinon',
+          'npm ERR! missing: internalpackage-1@1.0.0, required by internalpackage-2@1.0.0',
+          'npm ERR! peer dep missing: sinon@2.3.8',
+        ],
+        '\n'
+      );
+      const lsResult = {
+        version: '1.0.0',
+        problems: [
+          'npm ERR! extraneous: sinon@2.3.8 ./babel-dynamically-entries/node_modules/serverless-webpack/node_modules/sinon',
+        ],
+        dependencies: {
+          bluebird: {
+            version: '3.5.1'
+          }
+        }
+      };
+      childProcessMock.exec.yields(new Error('NPM error'), JSON.stringify(lsResult), stderr);
+      return expect(npmModule.getProdDependencies('myPath', 1, {})).to.eventually.deep.equal(lsResult);
+    });
+
+    it('should reject if the output is no valid JSON', () => {
+      childProcessMock.exec.yields(null, 'no json', '');
+      return expect(npmModule.getProdDependencies('myPath', 1, {})).to.be.rejectedWith(SyntaxError);
+    });
+  });
+
+  describe('pruneLockfile', () => {
+    const compositePackageJson = {
+      name: 'test-service',
+      version: '1.0.0',
+      dependencies: {
+        request: '^2.83.0',
+        'combined-stream': '1.0.5',
+        localmodule: 'file:../../local'
+      }
+    };
+
+    it('should prune the packages of a version 2+ package lock', () => {
+      const lockfile = {
+        name: 'service',
+        version: '0.1.0',
+        lockfileVersion: 3,
+        packages: {
+          '': {
+            name: 'service',
+            version: '0.1.0',
+            dependencies: {
+              request: '^2.83.0',
+              localmodule: 'file:../local'
+            },
+            devDependencies: {
+              mocha: '^4.0.0'
+            }
+          },
+          'node_modules/request': {
+            version: '2.83.0',
+            dependencies: {
+              'combined-stream': '~1.0.5',
+              uuid: '^3.1.0'
+            }
+          },
+          'node_modules/request/node_modules/combined-stream': {
+            version: '1.0.5',
+            dependencies: {
+              'delayed-stream': '~1.0.0'
+            }
+          },
+          'node_modules/request/node_modules/combined-stream/node_modules/delayed-stream': {
+            version: '1.0.0'
+          },
+          'node_modules/uuid': {
+            version: '3.1.0'
+          },
+          'node_modules/localmodule': {
+            resolved: '../local',
+            link: true
+          },
+          '../local': {
+            version: '1.0.0',
+            dependencies: {
+              bluebird: '^3.5.0'
+            }
+          },
+          'node_modules/bluebird': {
+            version: '3.5.1'
+          },
+          'node_modules/mocha': {
+            version: '4.0.1',
+            dev: true
+          }
+        }
+      };
+
+      expect(npmModule.pruneLockfile(lockfile, compositePackageJson)).to.deep.equal({
+        name: 'test-service',
+        version: '1.0.0',
+        lockfileVersion: 3,
+        packages: {
+          '': compositePackageJson,
+          'node_modules/request': lockfile.packages['node_modules/request'],
+          'node_modules/request/node_modules/combined-stream': lockfile.packages['node_modules/request/node_modules/combined-stream'],
+          'node_modules/request/node_modules/combined-stream/node_modules/delayed-stream': lockfile.packages['node_modules/request/node_modules/combined-stream/node_modules/delayed-stream'],
+          // The transient external module is hoisted to the top level
+          'node_modules/combined-stream': lockfile.packages['node_modules/request/node_modules/combined-stream'],
+          'node_modules/combined-stream/node_modules/delayed-stream': lockfile.packages['node_modules/request/node_modules/combined-stream/node_modules/delayed-stream'],
+          'node_modules/uuid': lockfile.packages['node_modules/uuid'],
+          'node_modules/localmodule': lockfile.packages['node_modules/localmodule'],
+          '../local': lockfile.packages['../local'],
+          'node_modules/bluebird': lockfile.packages['node_modules/bluebird']
+        }
+      });
+    });
+
+    it('should hoist the nested copy of a module that matches the composite version', () => {
+      const lockfile = {
+        name: 'service',
+        version: '0.1.0',
+        lockfileVersion: 3,
+        packages: {
+          '': {
+            name: 'service',
+            version: '0.1.0',
+            dependencies: {
+              debug: '2.6.9',
+              debug4: 'npm:debug@4.3.4'
+            }
+          },
+          'node_modules/debug': {
+            version: '2.6.9',
+            dependencies: {
+              ms: '2.0.0'
+            }
+          },
+          'node_modules/debug4': {
+            name: 'debug',
+            version: '4.3.4',
+            dependencies: {
+              ms: '2.1.2'
+            }
+          },
+          'node_modules/debug4/node_modules/ms': {
+            version: '2.1.2'
+          },
+          'node_modules/ms': {
+            version: '2.0.0'
+          }
+        }
+      };
+      const packageJson = {
+        name: 'test-service',
+        version: '1.0.0',
+        dependencies: {
+          debug: '2.6.9',
+          ms: '2.1.2'
+        }
+      };
+
+      expect(npmModule.pruneLockfile(lockfile, packageJson).packages).to.deep.equal({
+        '': packageJson,
+        'node_modules/debug': lockfile.packages['node_modules/debug'],
+        'node_modules/ms': lockfile.packages['node_modules/debug4/node_modules/ms'],
+        // The displaced copy is still needed by its dependent
+        'node_modules/debug/node_modules/ms': lockfile.packages['node_modules/ms']
+      });
+    });
+
+    it('should prune the package lock of a workspace to the packages of the service', () => {
+      // npm workspace with the packages svc and other, where svc has its own debug and ms
+      const lockfile = {
+        name: 'root',
+        lockfileVersion: 3,
+        packages: {
+          '': {
+            name: 'root',
+            workspaces: ['packages/*']
+          },
+          'node_modules/debug': {
+            version: '4.4.3',
+            dependencies: {
+              ms: '^2.1.3'
+            }
+          },
+          'node_modules/ms': {
+            version: '2.1.3'
+          },
+          'node_modules/other': {
+            resolved: 'packages/other',
+            link: true
+          },
+          'node_modules/svc': {
+            resolved: 'packages/svc',
+            link: true
+          },
+          'packages/other': {
+            version: '1.0.0',
+            dependencies: {
+              debug: '^4.3.0'
+            }
+          },
+          'packages/svc': {
+            version: '1.0.0',
+            dependencies: {
+              debug: '2.6.9'
+            }
+          },
+          'packages/svc/node_modules/debug': {
+            version: '2.6.9',
+            dependencies: {
+              ms: '2.0.0'
+            }
+          },
+          'packages/svc/node_modules/debug/node_modules/ms': {
+            version: '2.0.0'
+          }
+        }
+      };
+      const packageJson = {
+        name: 'test-service',
+        version: '1.0.0',
+        dependencies: {
+          debug: '2.6.9'
+        }
+      };
+
+      expect(npmModule.pruneLockfile(lockfile, packageJson, { importer: 'packages/svc' }).packages).to.deep.equal({
+        '': packageJson,
+        'node_modules/debug': lockfile.packages['packages/svc/node_modules/debug'],
+        'node_modules/debug/node_modules/ms': lockfile.packages['packages/svc/node_modules/debug/node_modules/ms']
+      });
+    });
+
+    it('should prune the dependencies of a version 1 package lock', () => {
+      const lockfile = {
+        name: 'service',
+        version: '0.1.0',
+        lockfileVersion: 1,
+        requires: true,
+        dependencies: {
+          request: {
+            version: '2.83.0',
+            requires: {
+              'combined-stream': '~1.0.5'
+            },
+            dependencies: {
+              'combined-stream': {
+                version: '1.0.5'
+              }
+            }
+          },
+          localmodule: {
+            version: 'file:../local'
+          },
+          mocha: {
+            version: '4.0.1',
+            dev: true
+          }
+        }
+      };
+
+      expect(npmModule.pruneLockfile(lockfile, compositePackageJson)).to.deep.equal({
+        name: 'test-service',
+        version: '1.0.0',
+        lockfileVersion: 1,
+        requires: true,
+        dependencies: {
+          request: {
+            version: '2.83.0',
+            requires: {
+              'combined-stream': '~1.0.5'
+            },
+            dependencies: {
+              'combined-stream': {
+                version: '1.0.5'
+              }
+            }
+          },
+          'combined-stream': {
+            version: '1.0.5'
+          },
+          localmodule: {
+            version: 'file:../local'
+          }
+        }
+      });
+    });
+  });
+
+  describe('replaceLocalModules', () => {
+    const localModule = {
+      reference: 'file:local/mymodule-1.0.0.tgz',
+      integrity: 'sha512-mymodule',
+      packageJson: {
+        name: 'mymodule',
+        version: '1.0.0',
+        dependencies: {
+          bluebird: '^3.5.0'
+        }
+      }
+    };
+    const getLocalModule = reference => {
+      return _.includes([ 'file:../mymodule', '../mymodule' ], reference) ? localModule : undefined;
+    };
+
+    it('should replace local modules in a version 1 package lock', () => {
+      const lockfile = {
+        lockfileVersion: 1,
+        dependencies: {
+          mymodule: {
+            version: 'file:../mymodule',
+            requires: {
+              bluebird: '^3.5.0'
+            }
+          },
+          othermodule: {
+            version: 'file:../othermodule',
+            requires: {
+              mymodule: 'file:../mymodule'
+            }
+          },
+          bluebird: {
+            version: '3.5.1',
+            integrity: 'sha512-bluebird'
+          }
+        }
+      };
+
+      expect(npmModule.replaceLocalModules(lockfile, getLocalModule)).to.deep.equal({
+        lockfileVersion: 1,
+        dependencies: {
+          mymodule: {
+            version: 'file:local/mymodule-1.0.0.tgz',
+            integrity: 'sha512-mymodule',
+            requires: {
+              bluebird: '^3.5.0'
+            }
+          },
+          othermodule: {
+            version: 'file:../othermodule',
+            requires: {
+              mymodule: 'file:local/mymodule-1.0.0.tgz'
+            }
+          },
+          bluebird: {
+            version: '3.5.1',
+            integrity: 'sha512-bluebird'
+          }
+        }
+      });
+    });
+
+    it('should replace links to local modules in a version 3 package lock', () => {
+      const lockfile = {
+        lockfileVersion: 3,
+        packages: {
+          '': {
+            name: 'service',
+            dependencies: {
+              mymodule: 'file:../mymodule',
+              othermodule: 'file:../othermodule'
+            }
+          },
+          '../mymodule': {
+            version: '1.0.0',
+            dependencies: {
+              bluebird: '^3.5.0'
+            }
+          },
+          '../mymodule/node_modules/bluebird': {
+            version: '3.5.1',
+            resolved: 'https://registry.npmjs.org/bluebird/-/bluebird-3.5.1.tgz'
+          },
+          'node_modules/mymodule': {
+            resolved: '../mymodule',
+            link: true
+          },
+          'node_modules/othermodule': {
+            resolved: '../othermodule',
+            link: true
+          }
+        }
+      };
+
+      expect(npmModule.replaceLocalModules(lockfile, getLocalModule)).to.deep.equal({
+        lockfileVersion: 3,
+        packages: {
+          '': {
+            name: 'service',
+            dependencies: {
+              mymodule: 'file:local/mymodule-1.0.0.tgz',
+              othermodule: 'file:../othermodule'
+            }
+          },
+          'node_modules/mymodule/node_modules/bluebird': {
+            version: '3.5.1',
+            resolved: 'https://registry.npmjs.org/bluebird/-/bluebird-3.5.1.tgz'
+          },
+          'node_modules/mymodule': {
+            version: '1.0.0',
+            resolved: 'file:local/mymodule-1.0.0.tgz',
+            integrity: 'sha512-mymodule',
+            dependencies: {
+              bluebird: '^3.5.0'
+            }
+          },
+          'node_modules/othermodule': {
+            resolved: '../othermodule',
+            link: true
+          }
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,257 @@
+'use strict';
+/**
+ * Unit tests for packagers/offline
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const fsExtraMockFactory = require('../mocks/fs-extra.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('offline', () => {
+  let sandbox;
+  let offlineModule;
+
+  // Mocks
+  let fsExtraMock;
+
+  const rootDir = path.join('/my', 'Service', 'Path');
+  const installedPackages = {
+    '.': {
+      name: 'test-service',
+      dependencies: {
+        bluebird: '^3.5.0',
+        'request-promise': '^4.2.1'
+      },
+      devDependencies: {
+        mocha: '^4.0.1'
+      }
+    },
+    'node_modules/bluebird': {
+      name: 'bluebird',
+      version: '3.5.1'
+    },
+    'node_modules/request-promise': {
+      name: 'request-promise',
+      version: '4.2.2',
+      dependencies: {
+        bluebird: '^3.5.0',
+        '@scoped/core': '^1.1.0',
+        stealthy: '^1.0.0'
+      },
+      optionalDependencies: {
+        fsevents: '^1.0.0'
+      }
+    },
+    'node_modules/request-promise/node_modules/@scoped/core': {
+      name: '@scoped/core',
+      version: '1.1.0',
+      dependencies: {
+        lodash: '^4.13.1'
+      }
+    },
+    'node_modules/stealthy': {
+      name: 'stealthy',
+      version: '1.0.0'
+    },
+    'node_modules/lodash': {
+      name: 'lodash',
+      version: '4.17.4'
+    },
+    'node_modules/mocha': {
+      name: 'mocha',
+      version: '4.0.1'
+    }
+  };
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('fs-extra', fsExtraMock);
+    offlineModule = require('../../lib/packagers/offline');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  beforeEach(() => {
+    fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+      const packageDir = path.relative(rootDir, path.dirname(packageJsonPath)) || '.';
+      return _.get(installedPackages, _.replace(packageDir, /\\/g, '/'), null);
+    });
+    fsExtraMock.copy.yields();
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  it('should not use a lockfile', () => {
+    expect(offlineModule.lockfileName).to.be.null;
+  });
+
+  it('should not touch lockfiles', () => {
+    const lockfile = { dependencies: {} };
+    expect(offlineModule.replaceLocalModules(lockfile, () => undefined)).to.equal(lockfile);
+  });
+
+  describe('getProdDependencies', () => {
+    it('should read the dependency graph from node_modules', () => {
+      const expectedResult = {
+        problems: [],
+        dependencies: {
+          bluebird: {
+            version: '3.5.1',
+            dependencies: {}
+          },
+          'request-promise': {
+            version: '4.2.2',
+            dependencies: {
+              bluebird: {
+                version: '3.5.1',
+                dependencies: {}
+              },
+              '@scoped/core': {
+                version: '1.1.0',
+                dependencies: {}
+              },
+              stealthy: {
+                version: '1.0.0',
+                dependencies: {}
+              }
+            }
+          }
+        }
+      };
+      return expect(offlineModule.getProdDependencies(rootDir, 1, {})).to.eventually.deep.equal(expectedResult);
+    });
+
+    it('should report missing modules as problems', () => {
+      installedPackages['.'].dependencies.missing = '^1.0.0';
+      return expect(offlineModule.getProdDependencies(rootDir, 1, {})).to.be.fulfilled
+      .then(result => {
+        delete installedPackages['.'].dependencies.missing;
+        return expect(result.problems).to.deep.equal([ 'missing: missing, required by the service' ]);
+      });
+    });
+
+    it('should reject if the package.json cannot be read', () => {
+      return expect(offlineModule.getProdDependencies(path.join('/not', 'existing'), 1, {}))
+      .to.be.rejectedWith('Could not read');
+    });
+  });
+
+  describe('install', () => {
+    it('should copy the transitive closure of the modules', () => {
+      const cwd = path.join(rootDir, '.webpack', 'dependencies');
+      installedPackages['.webpack/dependencies'] = {
+        dependencies: {
+          'request-promise': '^4.2.1'
+        }
+      };
+      return expect(offlineModule.install(cwd, { packageRoot: rootDir })).to.be.fulfilled
+      .then(() => {
+        delete installedPackages['.webpack/dependencies'];
+        const copiedDirs = _.map(fsExtraMock.copy.args, args => path.relative(cwd, args[1]));
+        return BbPromise.all([
+          expect(copiedDirs).to.deep.equal([
+            path.join('node_modules', 'request-promise'),
+            path.join('node_modules', 'bluebird'),
+            path.join('node_modules', 'request-promise', 'node_modules', '@scoped', 'core'),
+            path.join('node_modules', 'stealthy'),
+            path.join('node_modules', 'lodash'),
+          ]),
+          expect(fsExtraMock.copy.firstCall).to.have.been.calledWith(
+            path.join(rootDir, 'node_modules', 'request-promise'),
+            path.join(cwd, 'node_modules', 'request-promise'),
+            sinon.match({ dereference: true })
+          )
+        ]);
+      });
+    });
+
+    it('should not copy nested node_modules with the module', () => {
+      const cwd = path.join(rootDir, '.webpack', 'service');
+      installedPackages['.webpack/service'] = {
+        dependencies: {
+          'request-promise': '^4.2.1'
+        }
+      };
+      return expect(offlineModule.install(cwd, { packageRoot: rootDir })).to.be.fulfilled
+      .then(() => {
+        delete installedPackages['.webpack/service'];
+        const filter = fsExtraMock.copy.firstCall.args[2].filter;
+        const sourceDir = path.join(rootDir, 'node_modules', 'request-promise');
+        return BbPromise.all([
+          expect(filter(sourceDir)).to.be.true,
+          expect(filter(path.join(sourceDir, 'lib', 'rp.js'))).to.be.true,
+          expect(filter(path.join(sourceDir, 'node_modules'))).to.be.false,
+          expect(filter(path.join(sourceDir, 'node_modules', '@scoped', 'core'))).to.be.false,
+        ]);
+      });
+    });
+
+    it('should copy the modules of a workspace package', () => {
+      const workspaceRoot = path.join('/my', 'Workspace');
+      const packageRoot = path.join(workspaceRoot, 'packages', 'svc');
+      const cwd = path.join(packageRoot, '.webpack', 'dependencies');
+      const workspacePackages = {
+        'packages/svc/.webpack/dependencies': {
+          dependencies: {
+            lodash: '^4.17.0',
+            utils: 'file:../utils',
+            ms: '2.0.0'
+          }
+        },
+        'packages/svc/node_modules/ms': { name: 'ms', version: '2.0.0' },
+        'node_modules/lodash': { name: 'lodash', version: '4.17.4' },
+        'node_modules/ms': { name: 'ms', version: '2.1.3' },
+        // Linked sibling package
+        'node_modules/utils': { name: 'utils', version: '1.0.0', dependencies: { ms: '^2.1.0' } }
+      };
+      fsExtraMock.readJsonSync.callsFake(packageJsonPath => {
+        const packageDir = _.replace(path.relative(workspaceRoot, path.dirname(packageJsonPath)), /\\/g, '/');
+        return _.get(workspacePackages, [packageDir], null);
+      });
+      return expect(offlineModule.install(cwd, { packageRoot, workspaceRoot })).to.be.fulfilled
+      .then(() => expect(_.map(fsExtraMock.copy.args, args => [ path.relative(workspaceRoot, args[0]), path.relative(cwd, args[1]) ])).to.deep.equal([
+        [ path.join('node_modules', 'lodash'), path.join('node_modules', 'lodash') ],
+        [ path.join('node_modules', 'utils'), path.join('node_modules', 'utils') ],
+        // The module installed within the service replaces the hoisted one
+        [ path.join('packages', 'svc', 'node_modules', 'ms'), path.join('node_modules', 'ms') ],
+        // The sibling package keeps the hoisted module that it resolves in the workspace
+        [ path.join('node_modules', 'ms'), path.join('node_modules', 'utils', 'node_modules', 'ms') ]
+      ]));
+    });
+
+    it('should reject if a module is not installed', () => {
+      const cwd = path.join(rootDir, '.webpack', 'dependencies');
+      installedPackages['.webpack/dependencies'] = {
+        dependencies: {
+          missing: '^1.0.0'
+        }
+      };
+      return expect(offlineModule.install(cwd, { packageRoot: rootDir })).to.be.rejectedWith('Could not find module missing')
+      .then(() => {
+        delete installedPackages['.webpack/dependencies'];
+        return expect(fsExtraMock.copy).to.not.have.been.called;
+      });
+    });
+  });
+});
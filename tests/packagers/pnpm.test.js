@@ -0,0 +1,384 @@
+'use strict';
+/**
+ * Unit tests for packagers/pnpm
+ */
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const childProcessMockFactory = require('../mocks/child_process.mock');
+const fsExtraMockFactory = require('../mocks/fs-extra.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('pnpm', () => {
+  let sandbox;
+  let pnpmModule;
+
+  // Mocks
+  let childProcessMock;
+  let fsExtraMock;
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    childProcessMock = childProcessMockFactory.create(sandbox);
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('child_process', childProcessMock);
+    mockery.registerMock('fs-extra', fsExtraMock);
+    pnpmModule = require('../../lib/packagers/pnpm');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  beforeEach(() => {
+    fsExtraMock.pathExists.yields(null, false);
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  it('should return "pnpm-lock.yaml" as lockfile name', () => {
+    expect(pnpmModule.lockfileName).to.equal('pnpm-lock.yaml');
+  });
+
+  describe('getProdDependencies', () => {
+    it('should use pnpm list', () => {
+      childProcessMock.exec.yields(null, '[]', '');
+      return expect(pnpmModule.getProdDependencies('myPath', 1, { maxBuffer: 1000 })).to.be.fulfilled
+      .then(result => BbPromise.all([
+        expect(result).to.deep.equal({ problems: [], dependencies: {} }),
+        expect(childProcessMock.exec).to.have.been.calledOnce,
+        expect(childProcessMock.exec).to.have.been.calledWith(
+          'pnpm list --prod --json --depth=1',
+          {
+            cwd: 'myPath',
+            encoding: 'utf8',
+            maxBuffer: 1000
+          }
+        )
+      ]));
+    });
+
+    it('should transform pnpm dependencies to npm dependencies', () => {
+      const testPnpmResult = JSON.stringify([
+        {
+          name: 'test-service',
+          version: '1.0.0',
+          path: '/my/Service/Path',
+          dependencies: {
+            bluebird: {
+              from: 'bluebird',
+              version: '3.5.1',
+              resolved: 'https://registry.npmjs.org/bluebird/-/bluebird-3.5.1.tgz'
+            },
+            'request-promise': {
+              from: 'request-promise',
+              version: '4.2.2',
+              dependencies: {
+                'request-promise-core': {
+                  from: 'request-promise-core',
+                  version: '1.1.1'
+                }
+              }
+            },
+            localmodule: {
+              from: 'localmodule',
+              version: 'link:../mymodule'
+            }
+          }
+        }
+      ]);
+      const expectedResult = {
+        problems: [],
+        dependencies: {
+          bluebird: {
+            version: '3.5.1',
+            dependencies: {}
+          },
+          'request-promise': {
+            version: '4.2.2',
+            dependencies: {
+              'request-promise-core': {
+                version: '1.1.1',
+                dependencies: {}
+              }
+            }
+          },
+          localmodule: {
+            version: 'link:../mymodule',
+            dependencies: {}
+          }
+        }
+      };
+      childProcessMock.exec.yields(null, testPnpmResult, '');
+      return expect(pnpmModule.getProdDependencies('myPath', 1, {})).to.eventually.deep.equal(expectedResult);
+    });
+
+    it('should reject if pnpm list fails', () => {
+      childProcessMock.exec.yields(new Error('pnpm list failed'), '', 'error');
+      return expect(pnpmModule.getProdDependencies('myPath', 1, {})).to.be.rejectedWith('pnpm list failed');
+    });
+  });
+
+  describe('replaceLocalModules', () => {
+    it('should replace file and link references and directories of local modules', () => {
+      const getLocalModule = reference => {
+        return _.includes([ 'file:../mymodule', 'link:../mymodule', '../mymodule' ], reference) ? {
+          reference: 'file:local/localmodule-1.0.0.tgz',
+          integrity: 'sha512-localmodule'
+        } : undefined;
+      };
+      const testLockfile = {
+        lockfileVersion: 5.4,
+        specifiers: {
+          bluebird: '^3.5.0',
+          localmodule: 'file:../mymodule',
+          linkedmodule: 'link:../mymodule',
+          othermodule: 'link:../othermodule'
+        },
+        dependencies: {
+          bluebird: '3.5.1',
+          localmodule: 'file:../mymodule',
+          linkedmodule: 'link:../mymodule',
+          othermodule: 'link:../othermodule'
+        },
+        packages: {
+          '/bluebird/3.5.1': {
+            resolution: { integrity: 'sha512-abc' },
+            dev: false
+          },
+          'file:../mymodule': {
+            resolution: { directory: '../mymodule', type: 'directory' },
+            name: 'localmodule',
+            version: '1.0.0',
+            dev: false
+          }
+        }
+      };
+      const expectedLockfile = {
+        lockfileVersion: 5.4,
+        specifiers: {
+          bluebird: '^3.5.0',
+          localmodule: 'file:local/localmodule-1.0.0.tgz',
+          linkedmodule: 'file:local/localmodule-1.0.0.tgz',
+          othermodule: 'link:../othermodule'
+        },
+        dependencies: {
+          bluebird: '3.5.1',
+          localmodule: 'file:local/localmodule-1.0.0.tgz',
+          linkedmodule: 'file:local/localmodule-1.0.0.tgz',
+          othermodule: 'link:../othermodule'
+        },
+        packages: {
+          '/bluebird/3.5.1': {
+            resolution: { integrity: 'sha512-abc' },
+            dev: false
+          },
+          'file:local/localmodule-1.0.0.tgz': {
+            resolution: { integrity: 'sha512-localmodule', tarball: 'file:local/localmodule-1.0.0.tgz' },
+            name: 'localmodule',
+            version: '1.0.0',
+            dev: false
+          }
+        }
+      };
+
+      expect(pnpmModule.replaceLocalModules(testLockfile, getLocalModule)).to.deep.equal(expectedLockfile);
+    });
+  });
+
+  describe('pruneLockfile', () => {
+    const integrity = name => ({ resolution: { integrity: `sha512-${name}` } });
+    // The lockfile of a service with chalk and debug and the development dependency ms
+    const lockfile = {
+      lockfileVersion: '9.0',
+      settings: {
+        autoInstallPeers: true,
+        excludeLinksFromLockfile: false
+      },
+      overrides: {
+        'has-flag': '4.0.0'
+      },
+      importers: {
+        '.': {
+          dependencies: {
+            chalk: { specifier: '^4.1.0', version: '4.1.2' },
+            debug: { specifier: '^4.3.0', version: '4.4.3(supports-color@7.2.0)' }
+          },
+          devDependencies: {
+            ms: { specifier: '^2.1.0', version: '2.1.3' }
+          }
+        }
+      },
+      packages: {
+        'chalk@4.1.2': integrity('chalk'),
+        'debug@4.4.3': _.assign(integrity('debug'), { peerDependencies: { 'supports-color': '*' } }),
+        'has-flag@4.0.0': integrity('has-flag'),
+        'ms@2.1.3': integrity('ms'),
+        'supports-color@7.2.0': integrity('supports-color')
+      },
+      snapshots: {
+        'chalk@4.1.2': {
+          dependencies: { 'supports-color': '7.2.0' }
+        },
+        'debug@4.4.3(supports-color@7.2.0)': {
+          dependencies: { ms: '2.1.3' },
+          optionalDependencies: { 'supports-color': '7.2.0' }
+        },
+        'has-flag@4.0.0': {},
+        'ms@2.1.3': {},
+        'supports-color@7.2.0': {
+          dependencies: { 'has-flag': '4.0.0' }
+        }
+      }
+    };
+
+    it('should prune a version 9 lockfile to the composite modules', () => {
+      const packageJson = {
+        dependencies: {
+          chalk: '^4.1.0',
+          'supports-color': '7.2.0'
+        }
+      };
+      expect(pnpmModule.pruneLockfile(lockfile, packageJson)).to.deep.equal({
+        lockfileVersion: '9.0',
+        settings: lockfile.settings,
+        importers: {
+          '.': {
+            dependencies: {
+              chalk: { specifier: '^4.1.0', version: '4.1.2' },
+              // The transient module is locked with its locked version
+              'supports-color': { specifier: '7.2.0', version: '7.2.0' }
+            }
+          }
+        },
+        packages: _.pick(lockfile.packages, [ 'chalk@4.1.2', 'has-flag@4.0.0', 'supports-color@7.2.0' ]),
+        snapshots: _.pick(lockfile.snapshots, [ 'chalk@4.1.2', 'has-flag@4.0.0', 'supports-color@7.2.0' ])
+      });
+    });
+
+    it('should keep the packages of modules with peer dependencies', () => {
+      const prunedLockfile = pnpmModule.pruneLockfile(lockfile, { dependencies: { debug: '^4.3.0' } });
+      return BbPromise.all([
+        expect(prunedLockfile.packages).to.have.all.keys('debug@4.4.3', 'ms@2.1.3', 'supports-color@7.2.0', 'has-flag@4.0.0'),
+        expect(prunedLockfile.snapshots).to.have.all.keys('debug@4.4.3(supports-color@7.2.0)', 'ms@2.1.3', 'supports-color@7.2.0', 'has-flag@4.0.0')
+      ]);
+    });
+
+    it('should prune the lockfile of a workspace to the importer of the service', () => {
+      const workspaceLockfile = _.assign({}, lockfile, {
+        importers: {
+          '.': {},
+          'packages/svc': lockfile.importers['.']
+        }
+      });
+      const prunedLockfile = pnpmModule.pruneLockfile(workspaceLockfile, { dependencies: { chalk: '^4.1.0' } }, { importer: 'packages/svc' });
+      return BbPromise.all([
+        expect(prunedLockfile.importers).to.deep.equal({
+          '.': {
+            dependencies: {
+              chalk: { specifier: '^4.1.0', version: '4.1.2' }
+            }
+          }
+        }),
+        expect(prunedLockfile.packages).to.have.all.keys('chalk@4.1.2', 'has-flag@4.0.0', 'supports-color@7.2.0')
+      ]);
+    });
+
+    it('should prune a version 6 lockfile of a single project', () => {
+      const lockfileV6 = {
+        lockfileVersion: '6.0',
+        dependencies: {
+          chalk: { specifier: '^4.1.0', version: '4.1.2' }
+        },
+        devDependencies: {
+          ms: { specifier: '^2.1.0', version: '2.1.3' }
+        },
+        packages: {
+          '/chalk@4.1.2': _.assign(integrity('chalk'), { dependencies: { 'has-flag': '4.0.0' } }),
+          '/has-flag@4.0.0': integrity('has-flag'),
+          '/ms@2.1.3': _.assign(integrity('ms'), { dev: true })
+        }
+      };
+      expect(pnpmModule.pruneLockfile(lockfileV6, { dependencies: { chalk: '^4.1.0' } })).to.deep.equal({
+        lockfileVersion: '6.0',
+        dependencies: {
+          chalk: { specifier: '^4.1.0', version: '4.1.2' }
+        },
+        packages: _.pick(lockfileV6.packages, [ '/chalk@4.1.2', '/has-flag@4.0.0' ])
+      });
+    });
+
+    it('should return null if a composite module is not locked', () => {
+      expect(pnpmModule.pruneLockfile(lockfile, { dependencies: { chalk: '^5.0.0' } })).to.be.null;
+    });
+
+    it('should return null for lockfiles before version 6', () => {
+      expect(pnpmModule.pruneLockfile({ lockfileVersion: 5.4, specifiers: {} }, { dependencies: {} })).to.be.null;
+    });
+  });
+
+  describe('install', () => {
+    it('should use pnpm install with the hoisted node linker', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(pnpmModule.install('myPath', { maxBuffer: 1000 })).to.be.fulfilled
+      .then(result => BbPromise.all([
+        expect(result).to.be.undefined,
+        expect(childProcessMock.exec).to.have.been.calledOnce,
+        expect(childProcessMock.exec).to.have.been.calledWith(
+          'pnpm install --config.node-linker=hoisted --no-frozen-lockfile',
+          {
+            cwd: 'myPath',
+            encoding: 'utf8',
+            maxBuffer: 1000
+          }
+        )
+      ]));
+    });
+
+    it('should install with a frozen lockfile if it exists', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      fsExtraMock.pathExists.yields(null, true);
+      return expect(pnpmModule.install('myPath', { maxBuffer: 1000 })).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(fsExtraMock.pathExists).to.have.been.calledWith(path.join('myPath', 'pnpm-lock.yaml')),
+        expect(childProcessMock.exec).to.have.been.calledWith('pnpm install --config.node-linker=hoisted --frozen-lockfile')
+      ]));
+    });
+
+    it('should install the optional modules of another target platform', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(pnpmModule.install('myPath', { maxBuffer: 1000, os: 'linux', cpu: 'other' })).to.be.fulfilled
+      .then(() => expect(childProcessMock.exec).to.have.been.calledWith('pnpm install --config.node-linker=hoisted --no-frozen-lockfile --os=linux --cpu=other'));
+    });
+
+    it('should add the configured install flags and rebuild the allowed modules', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      const options = { maxBuffer: 1000, production: true, allowScripts: ['sharp'], args: ['--prefer-offline'] };
+      return expect(pnpmModule.install('myPath', options)).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(childProcessMock.exec).to.have.been.calledTwice,
+        expect(childProcessMock.exec.firstCall).to.have.been.calledWith(
+          'pnpm install --config.node-linker=hoisted --no-frozen-lockfile --ignore-scripts --prod --prefer-offline'
+        ),
+        expect(childProcessMock.exec.secondCall).to.have.been.calledWith('pnpm rebuild sharp')
+      ]));
+    });
+  });
+});
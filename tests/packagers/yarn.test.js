@@ -0,0 +1,273 @@
+'use strict';
+/**
+ * Unit tests for packagers/yarn
+ */
+
+const BbPromise = require('bluebird');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const childProcessMockFactory = require('../mocks/child_process.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('yarn', () => {
+  let sandbox;
+  let yarnModule;
+
+  // Mocks
+  let childProcessMock;
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    childProcessMock = childProcessMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('child_process', childProcessMock);
+    yarnModule = require('../../lib/packagers/yarn');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  it('should return "yarn.lock" as lockfile name', () => {
+    expect(yarnModule.lockfileName).to.equal('yarn.lock');
+  });
+
+  describe('getProdDependencies', () => {
+    it('should use yarn list', () => {
+      childProcessMock.exec.yields(null, '{}', '');
+      return expect(yarnModule.getProdDependencies('myPath', 1, { maxBuffer: 1000 })).to.be.fulfilled
+      .then(result => BbPromise.all([
+        expect(result).to.be.an('object'),
+        expect(childProcessMock.exec).to.have.been.calledOnce,
+        expect(childProcessMock.exec).to.have.been.calledWith(
+          'yarn list --depth=1 --json --production',
+          {
+            cwd: 'myPath',
+            encoding: 'utf8',
+            maxBuffer: 1000
+          }
+        )
+      ]));
+    });
+
+    it('should transform yarn trees to npm dependencies', () => {
+      const testYarnResult = JSON.stringify({
+        type: 'tree',
+        data: {
+          type: 'list',
+          trees: [
+            { name: 'archiver@2.1.1', children: [], hint: null, color: 'bold', depth: 0 },
+            {
+              name: 'bluebird@3.5.1',
+              children: [
+                { name: 'uuid@^3.1.0', color: 'dim', shadow: true },
+              ],
+              hint: null,
+              color: 'bold',
+              depth: 0
+            },
+            { name: '@scoped/vendor@1.0.0', children: [], hint: null, color: 'bold', depth: 0 },
+          ]
+        }
+      });
+      const expectedResult = {
+        problems: [],
+        dependencies: {
+          archiver: {
+            version: '2.1.1',
+            dependencies: {}
+          },
+          bluebird: {
+            version: '3.5.1',
+            dependencies: {
+              uuid: {
+                version: '^3.1.0',
+                dependencies: {}
+              }
+            }
+          },
+          '@scoped/vendor': {
+            version: '1.0.0',
+            dependencies: {}
+          }
+        }
+      };
+      childProcessMock.exec.yields(null, testYarnResult, '');
+      return expect(yarnModule.getProdDependencies('myPath', 1, {})).to.eventually.deep.equal(expectedResult);
+    });
+
+    it('should reject if yarn list fails', () => {
+      childProcessMock.exec.yields(new Error('yarn list failed'), '', 'error');
+      return expect(yarnModule.getProdDependencies('myPath', 1, {})).to.be.rejectedWith('yarn list failed');
+    });
+  });
+
+  describe('replaceLocalModules', () => {
+    it('should replace file references of local modules', () => {
+      const getLocalModule = reference => {
+        return reference === 'file:../mymodule' ? { reference: 'file:local/localmodule-1.0.0.tgz' } : undefined;
+      };
+      const testLockfile = [
+        '"localmodule@file:../mymodule":',
+        '  version "1.0.0"',
+        '',
+        'othermodule@file:sibling:',
+        '  version "1.0.0"',
+        '  dependencies:',
+        '    localmodule "file:../mymodule"',
+        '',
+        'bluebird@^3.5.0:',
+        '  version "3.5.1"',
+        '  resolved "https://registry.yarnpkg.com/bluebird/-/bluebird-3.5.1.tgz#d9551f9de98f1fcda1e683d17ee91a0602ee2eb9"',
+        ''
+      ].join('\n');
+      const expectedLockfile = [
+        '"localmodule@file:local/localmodule-1.0.0.tgz":',
+        '  version "1.0.0"',
+        '',
+        'othermodule@file:sibling:',
+        '  version "1.0.0"',
+        '  dependencies:',
+        '    localmodule "file:local/localmodule-1.0.0.tgz"',
+        '',
+        'bluebird@^3.5.0:',
+        '  version "3.5.1"',
+        '  resolved "https://registry.yarnpkg.com/bluebird/-/bluebird-3.5.1.tgz#d9551f9de98f1fcda1e683d17ee91a0602ee2eb9"',
+        ''
+      ].join('\n');
+
+      expect(yarnModule.replaceLocalModules(testLockfile, getLocalModule)).to.equal(expectedLockfile);
+    });
+  });
+
+  describe('pruneLockfile', () => {
+    const testLockfile = [
+      '# yarn lockfile v1',
+      '',
+      '',
+      'chalk@^2.4.2:',
+      '  version "2.4.2"',
+      '  dependencies:',
+      '    supports-color "^5.3.0"',
+      '',
+      '"@scoped/vendor@^1.0.0", "@scoped/vendor@^1.1.0":',
+      '  version "1.2.0"',
+      '',
+      'supports-color@^5.3.0:',
+      '  version "5.5.0"',
+      ''
+    ].join('\n');
+
+    it('should keep a lockfile that contains all modules', () => {
+      const packageJson = {
+        dependencies: {
+          chalk: '^2.4.2',
+          '@scoped/vendor': '^1.1.0'
+        }
+      };
+      expect(yarnModule.pruneLockfile(testLockfile, packageJson)).to.equal(testLockfile);
+    });
+
+    it('should add the pinned versions of transient modules to their locked entries', () => {
+      const packageJson = {
+        dependencies: {
+          chalk: '^2.4.2',
+          'supports-color': '5.5.0'
+        },
+        optionalDependencies: {
+          '@scoped/vendor': '1.2.0'
+        }
+      };
+      const expectedLockfile = [
+        '# yarn lockfile v1',
+        '',
+        '',
+        'chalk@^2.4.2:',
+        '  version "2.4.2"',
+        '  dependencies:',
+        '    supports-color "^5.3.0"',
+        '',
+        '"@scoped/vendor@^1.0.0", "@scoped/vendor@^1.1.0", "@scoped/vendor@1.2.0":',
+        '  version "1.2.0"',
+        '',
+        'supports-color@^5.3.0, "supports-color@5.5.0":',
+        '  version "5.5.0"',
+        ''
+      ].join('\n');
+      expect(yarnModule.pruneLockfile(testLockfile, packageJson)).to.equal(expectedLockfile);
+    });
+
+    it('should return null if a version is not locked', () => {
+      expect(yarnModule.pruneLockfile(testLockfile, { dependencies: { 'supports-color': '5.4.0' } })).to.be.null;
+    });
+
+    it('should return null if a module is not locked', () => {
+      const packageJson = {
+        dependencies: {
+          chalk: '^2.4.2',
+          utils: 'file:local/utils-1.0.0.tgz'
+        }
+      };
+      expect(yarnModule.pruneLockfile(testLockfile, packageJson)).to.be.null;
+    });
+  });
+
+  describe('install', () => {
+    it('should use yarn install with a frozen lockfile', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(yarnModule.install('myPath', { maxBuffer: 1000 })).to.be.fulfilled
+      .then(result => BbPromise.all([
+        expect(result).to.be.undefined,
+        expect(childProcessMock.exec).to.have.been.calledOnce,
+        expect(childProcessMock.exec).to.have.been.calledWith(
+          'yarn install --frozen-lockfile --non-interactive',
+          {
+            cwd: 'myPath',
+            encoding: 'utf8',
+            maxBuffer: 1000
+          }
+        )
+      ]));
+    });
+
+    it('should add the configured install flags', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      const options = { maxBuffer: 1000, ignoreScripts: true, production: true, args: '--prefer-offline' };
+      return expect(yarnModule.install('myPath', options)).to.be.fulfilled
+      .then(() => expect(childProcessMock.exec).to.have.been.calledWith(
+        'yarn install --frozen-lockfile --non-interactive --ignore-scripts --production --prefer-offline'
+      ));
+    });
+
+    it('should skip the platform checks for another target platform', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(yarnModule.install('myPath', { maxBuffer: 1000, os: 'linux', cpu: 'other' })).to.be.fulfilled
+      .then(() => expect(childProcessMock.exec).to.have.been.calledWith('yarn install --frozen-lockfile --non-interactive --ignore-platform'));
+    });
+
+    it('should rebuild the allowed modules with npm', () => {
+      childProcessMock.exec.yields(null, 'installed successfully', '');
+      return expect(yarnModule.install('myPath', { maxBuffer: 1000, allowScripts: ['sharp'] })).to.be.fulfilled
+      .then(() => BbPromise.all([
+        expect(childProcessMock.exec).to.have.been.calledTwice,
+        expect(childProcessMock.exec.firstCall).to.have.been.calledWith('yarn install --frozen-lockfile --non-interactive --ignore-scripts'),
+        expect(childProcessMock.exec.secondCall).to.have.been.calledWith('npm rebuild sharp')
+      ]));
+    });
+  });
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const chai = require('chai');
+
+const runtimeModules = require('../lib/runtimeModules');
+
+const expect = chai.expect;
+
+describe('runtimeModules', () => {
+  describe('getRuntimeModules()', () => {
+    it('should return the modules provided by a runtime', () => {
+      expect(runtimeModules.getRuntimeModules('aws', 'nodejs16.x')).to.deep.equal(['aws-sdk']);
+      expect(runtimeModules.getRuntimeModules('aws', 'nodejs18.x')).to.deep.equal(['@aws-sdk/*']);
+    });
+
+    it('should return no modules for unknown providers and runtimes', () => {
+      expect(runtimeModules.getRuntimeModules('aws', 'python3.12')).to.be.empty;
+      expect(runtimeModules.getRuntimeModules('aws')).to.be.empty;
+      expect(runtimeModules.getRuntimeModules('google', 'nodejs16')).to.be.empty;
+    });
+  });
+
+  describe('matchesModule()', () => {
+    it('should match module names', () => {
+      expect(runtimeModules.matchesModule('aws-sdk', ['aws-sdk'])).to.be.true;
+      expect(runtimeModules.matchesModule('aws-sdk-mock', ['aws-sdk'])).to.be.false;
+    });
+
+    it('should match all modules of a scope', () => {
+      expect(runtimeModules.matchesModule('@aws-sdk/client-s3', ['@aws-sdk/*'])).to.be.true;
+      expect(runtimeModules.matchesModule('@aws-sdk-x/client', ['@aws-sdk/*'])).to.be.false;
+      expect(runtimeModules.matchesModule('@aws-sdk/client-s3', [])).to.be.false;
+    });
+  });
+});
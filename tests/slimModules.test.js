@@ -0,0 +1,91 @@
+'use strict';
+
+const BbPromise = require('bluebird');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const fsExtraMockFactory = require('./mocks/fs-extra.mock');
+const globbyMockFactory = require('./mocks/globby.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('slimModules', () => {
+  let sandbox;
+  let slimModules;
+
+  // Mocks
+  let fsExtraMock;
+  let globbyMock;
+
+  const rootDir = path.join('/my', 'Service', '.webpack', 'func1');
+  const moduleRoot = path.join(rootDir, 'node_modules', 'module');
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+    globbyMock = globbyMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('fs-extra', fsExtraMock);
+    mockery.registerMock('globby', globbyMock);
+    slimModules = require('../lib/slimModules');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  beforeEach(() => {
+    fsExtraMock.readJsonSync.returns({ name: 'module', main: './lib/index', files: [ 'lib', 'README.md' ] });
+    fsExtraMock.stat.yields(null, { size: 10 });
+    fsExtraMock.remove.yields();
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  describe('slimModules()', () => {
+    it('should remove the matching files of the modules and return their size', () => {
+      globbyMock.sync.returns([ 'CHANGELOG.md', 'test/index.js', 'lib/index.d.ts' ]);
+      return expect(slimModules.slimModules(rootDir, [path.join('node_modules', 'module')], ['**/*.md'])).to.eventually.deep.equal({
+        files: 3,
+        bytes: 30
+      })
+      .then(() => BbPromise.all([
+        expect(globbyMock.sync).to.have.been.calledWith(['**/*.md'], sinon.match({ cwd: moduleRoot, ignore: ['node_modules/**'] })),
+        expect(fsExtraMock.remove).to.have.been.calledThrice,
+        expect(fsExtraMock.remove).to.have.been.calledWith(path.join(moduleRoot, 'CHANGELOG.md')),
+        expect(fsExtraMock.remove).to.have.been.calledWith(path.join(moduleRoot, 'lib/index.d.ts'))
+      ]));
+    });
+
+    it('should keep the main file and the files listed in the package.json', () => {
+      globbyMock.sync.returns([ 'README.md', 'lib/index.js', 'lib/other.js', 'package.json' ]);
+      return expect(slimModules.slimModules(rootDir, [path.join('node_modules', 'module')], ['**'])).to.eventually.deep.equal({
+        files: 1,
+        bytes: 10
+      })
+      .then(() => expect(fsExtraMock.remove).to.have.been.calledOnce.and.calledWith(path.join(moduleRoot, 'lib/other.js')));
+    });
+
+    it('should sum up the removed files of all modules', () => {
+      globbyMock.sync.returns(['README.md']);
+      fsExtraMock.readJsonSync.returns(null);
+      return expect(slimModules.slimModules(rootDir, [ path.join('node_modules', 'a'), path.join('node_modules', 'b') ], ['**/README*']))
+      .to.eventually.deep.equal({
+        files: 2,
+        bytes: 20
+      });
+    });
+  });
+});
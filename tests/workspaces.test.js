@@ -0,0 +1,99 @@
+'use strict';
+
+const BbPromise = require('bluebird');
+const _ = require('lodash');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+
+// Mocks
+const fsExtraMockFactory = require('./mocks/fs-extra.mock');
+const globbyMockFactory = require('./mocks/globby.mock');
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('workspaces', () => {
+  let sandbox;
+  let workspaces;
+  let packageJsons;
+
+  // Mocks
+  let fsExtraMock;
+  let globbyMock;
+
+  const workspaceRoot = path.join('/my', 'Workspace');
+  const servicePath = path.join(workspaceRoot, 'packages', 'service');
+
+  before(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.usingPromise(BbPromise);
+
+    fsExtraMock = fsExtraMockFactory.create(sandbox);
+    globbyMock = globbyMockFactory.create(sandbox);
+
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+    mockery.registerMock('fs-extra', fsExtraMock);
+    mockery.registerMock('globby', globbyMock);
+    workspaces = require('../lib/workspaces');
+  });
+
+  after(() => {
+    mockery.disable();
+    mockery.deregisterAll();
+  });
+
+  beforeEach(() => {
+    packageJsons = {
+      [workspaceRoot]: { name: 'workspace', workspaces: ['packages/*'] },
+      [servicePath]: { name: 'service' },
+      [path.join(workspaceRoot, 'packages', 'utils')]: { name: '@workspace/utils' }
+    };
+    fsExtraMock.readJsonSync.callsFake(packageJsonPath => _.get(packageJsons, [path.dirname(packageJsonPath)], null));
+    globbyMock.sync.returns([ 'packages/service/package.json', 'packages/utils/package.json' ]);
+  });
+
+  afterEach(() => {
+    sandbox.reset();
+  });
+
+  describe('findWorkspace()', () => {
+    it('should find the workspace root and the packages of the workspace', () => {
+      expect(workspaces.findWorkspace(servicePath)).to.deep.equal({
+        root: workspaceRoot,
+        packages: {
+          service: servicePath,
+          '@workspace/utils': path.join(workspaceRoot, 'packages', 'utils')
+        }
+      });
+      expect(globbyMock.sync).to.have.been.calledWith(
+        [ 'packages/*/package.json', '!**/node_modules/**' ],
+        sinon.match({ cwd: workspaceRoot })
+      );
+    });
+
+    it('should read the workspace packages of yarn', () => {
+      packageJsons[workspaceRoot] = { name: 'workspace', workspaces: { packages: ['packages/*/'], nohoist: ['**/webpack'] } };
+      expect(workspaces.findWorkspace(servicePath)).to.have.property('root', workspaceRoot);
+      expect(globbyMock.sync).to.have.been.calledWith([ 'packages/*/package.json', '!**/node_modules/**' ]);
+    });
+
+    it('should accept the workspace root as package root', () => {
+      expect(workspaces.findWorkspace(workspaceRoot)).to.have.property('root', workspaceRoot);
+    });
+
+    it('should ignore workspaces that do not contain the package', () => {
+      globbyMock.sync.returns(['packages/utils/package.json']);
+      expect(workspaces.findWorkspace(servicePath)).to.be.null;
+    });
+
+    it('should return null if the package is not part of a workspace', () => {
+      delete packageJsons[workspaceRoot];
+      expect(workspaces.findWorkspace(servicePath)).to.be.null;
+      expect(globbyMock.sync).to.not.have.been.called;
+    });
+  });
+});